@@ -0,0 +1,45 @@
+// csv.js — RFC 4180 CSV in and out (ESM)
+// Used by the appointment export/import routes in index.js.
+
+const needsQuote = /[",\r\n]/;
+// Text Excel would run as a formula; written with a leading ' so it opens as text
+export const formulaStart = /^[=+\-@\t\r]/;
+
+// rows: array of arrays; null/undefined become empty cells. CRLF line ends (Excel).
+// Numbers go out as-is; strings starting like a formula get the ' guard.
+export function toCSV(rows) {
+  return rows.map(row => row.map(v => {
+    let s = v === null || v === undefined ? '' : String(v);
+    if (typeof v === 'string' && formulaStart.test(s)) s = `'${s}`;
+    return needsQuote.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+// Returns an array of arrays of strings. Handles quoted fields with commas, doubled
+// quotes and line breaks; skips blank lines; strips a UTF-8 BOM (Excel "CSV UTF-8").
+export function parseCSV(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [], field = '', quoted = false, i = 0;
+  const endField = () => { row.push(field); field = ''; };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+  };
+  while (i < src.length) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (c === '"') { quoted = false; i++; continue; }
+      field += c; i++; continue;
+    }
+    if (c === '"' && field === '') { quoted = true; i++; continue; }
+    if (c === ',') { endField(); i++; continue; }
+    if (c === '\r' && src[i + 1] === '\n') { endRow(); i += 2; continue; }
+    if (c === '\n' || c === '\r') { endRow(); i++; continue; }
+    field += c; i++;
+  }
+  if (field !== '' || row.length) endRow();
+  return rows;
+}
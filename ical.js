@@ -0,0 +1,66 @@
+// ical.js — minimal iCalendar (RFC 5545) writer (ESM)
+// Used by the reservation .ics download and the per-site subscription feed in index.js.
+// Times are written in UTC ("Z"), which every calendar client accepts without VTIMEZONE.
+
+const PRODID = '-//Cargill Soybean//Virtual Line//EN';
+
+// TEXT values: backslash, semicolon, comma and newlines are escaped
+const escText = s => String(s ?? '')
+  .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Date -> 20261019T130000Z
+export const icsDate = d => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Content lines are folded at 75 octets (continuations start with a space)
+function fold(line) {
+  const out = [];
+  let cur = '', bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; bytes = 0; }
+    cur += ch; bytes += n;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+// event: { uid, start: Date, end: Date, summary, description?, location?, url?,
+//          status?: 'CONFIRMED'|'CANCELLED', sequence?, updated?: Date }
+function eventLines(e) {
+  const now = new Date();
+  return [
+    'BEGIN:VEVENT',
+    `UID:${e.uid}`,
+    `DTSTAMP:${icsDate(e.updated || now)}`,
+    e.updated ? `LAST-MODIFIED:${icsDate(e.updated)}` : null,
+    `SEQUENCE:${e.sequence || 0}`,
+    `DTSTART:${icsDate(e.start)}`,
+    `DTEND:${icsDate(e.end)}`,
+    `SUMMARY:${escText(e.summary)}`,
+    e.location ? `LOCATION:${escText(e.location)}` : null,
+    e.description ? `DESCRIPTION:${escText(e.description)}` : null,
+    e.url ? `URL:${e.url}` : null,
+    `STATUS:${e.status || 'CONFIRMED'}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ].filter(Boolean);
+}
+
+// { name?, timezone?, refreshMin?, method? , events } -> .ics text (CRLF line ends)
+export function icsCalendar({ name, timezone, refreshMin, method = 'PUBLISH', events = [] }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    name ? `X-WR-CALNAME:${escText(name)}` : null,
+    timezone ? `X-WR-TIMEZONE:${timezone}` : null,
+    // How often subscribers should re-fetch (Apple/Outlook honor one or the other)
+    refreshMin ? `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMin}M` : null,
+    refreshMin ? `X-PUBLISHED-TTL:PT${refreshMin}M` : null,
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
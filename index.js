@@ -7,6 +7,11 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { EventEmitter } from 'events';
+import { migrate } from './migrations.js';
+import { isValidTwilioSignature } from './twilio-signature.js';
+import { toCSV, parseCSV, formulaStart } from './csv.js';
+import { xlsxBuffer } from './xlsx.js';
+import { icsCalendar } from './ical.js';
 
 // ------------------------- Paths & ENV ---------------------------------------
 const __filename = fileURLToPath(import.meta.url);
@@ -15,10 +20,62 @@ const __dirname  = path.dirname(__filename);
 const PORT        = Number(process.env.PORT || 10000);
 const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
 const DB_PATH     = process.env.DB_PATH || 'data.db';
+const PUBLIC_URL  = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, ''); // for SMS links
+// Clock for anything not tied to a site (sites use sites.timezone)
+const DEFAULT_TZ  = process.env.APP_TIMEZONE || 'America/Chicago';
+
+// Scale verify: arrivals within ±N minutes of slot_time count as on time
+const ONTIME_WINDOW_MIN = Number(process.env.ONTIME_WINDOW_MIN || 15);
+
+// Driver self-service: no cancel/reschedule within N minutes of the slot (old or new)
+const DRIVER_CHANGE_CUTOFF_MIN = Number(process.env.DRIVER_CHANGE_CUTOFF_MIN || 30);
+// Driver booking: slots starting sooner than this are not offered (sites.booking_lead_min overrides)
+const BOOKING_LEAD_MIN = Number(process.env.BOOKING_LEAD_MIN || 30);
+
+// No-shows (opt-in): still no arrival NO_SHOW_GRACE_MIN after slot_time -> status no_show
+// (0 = no sweep). NO_SHOW_BLOCK_COUNT no-shows within NO_SHOW_LOOKBACK_DAYS pause booking
+// (0 = never). Only turn these on where every truck goes through scale verify or check-in.
+const NO_SHOW_GRACE_MIN     = Number(process.env.NO_SHOW_GRACE_MIN || 0);
+const NO_SHOW_BLOCK_COUNT   = Number(process.env.NO_SHOW_BLOCK_COUNT || 0);
+const NO_SHOW_LOOKBACK_DAYS = Number(process.env.NO_SHOW_LOOKBACK_DAYS || 90);
+// Driver cancels this close to the slot count as "cancelled late" in their history
+const LATE_CANCEL_MIN       = Number(process.env.LATE_CANCEL_MIN || 120);
+
+// Soybeans: est_amount in TONS/LB converts to bushels at this test weight (caps, analytics)
+const LB_PER_BUSHEL = Number(process.env.LB_PER_BUSHEL || 60);
+
+// Calendar (.ics): event length for a slot, and how far the site feed reaches
+const CAL_EVENT_MIN      = Number(process.env.CAL_EVENT_MIN || 30);
+const CAL_FEED_PAST_DAYS = Number(process.env.CAL_FEED_PAST_DAYS || 14);
+const CAL_FEED_DAYS      = Number(process.env.CAL_FEED_DAYS || 90);
+
+// Reminders: how often the scheduler looks for due reminders
+const REMINDER_SWEEP_SEC = Number(process.env.REMINDER_SWEEP_SEC || 60);
+
+// Waitlist: a freed slot is held for the next driver this long before falling through
+const WAITLIST_OFFER_MIN = Number(process.env.WAITLIST_OFFER_MIN || 10);
+
+// Live events (/events): how many recent events are kept for Last-Event-ID replay
+const SSE_BUFFER_SIZE = Number(process.env.SSE_BUFFER_SIZE || 1000);
+
+// Login sessions (opaque token in an httpOnly cookie, looked up server-side)
+const SESSION_COOKIE    = 'sid';
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 72);
+
+// OTP abuse limits
+const OTP_MAX_ATTEMPTS        = Number(process.env.OTP_MAX_ATTEMPTS || 5);        // wrong guesses per code
+const OTP_RESEND_COOLDOWN_SEC = Number(process.env.OTP_RESEND_COOLDOWN_SEC || 30); // between sends to one phone
+const OTP_MAX_PER_PHONE_HOUR  = Number(process.env.OTP_MAX_PER_PHONE_HOUR || 5);
+const OTP_MAX_PER_IP_HOUR     = Number(process.env.OTP_MAX_PER_IP_HOUR || 20);
+const OTP_LOCKOUT_FAILURES    = Number(process.env.OTP_LOCKOUT_FAILURES || 10);    // failed verifies per phone...
+const OTP_LOCKOUT_MIN         = Number(process.env.OTP_LOCKOUT_MIN || 15);         // ...within this window locks it this long
+
+// Check-ins without a staff session, per IP per hour (a gate kiosk shares one IP)
+const CHECKIN_MAX_PER_IP_HOUR = Number(process.env.CHECKIN_MAX_PER_IP_HOUR || 30);
 
 // Support both naming schemes for Render vs prior code
 const TWILIO_SID  = process.env.TWILIO_ACCOUNT_SID || process.env.TWILIO_SID;
-const TWILIO_AUTH = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_AUTH = process.env.TWILIO_AUTH_TOKEN;  // also signs /sms/inbound (alone is enough for sms-fake.js)
 const TWILIO_FROM = process.env.TWILIO_PHONE_NUMBER;
 
 // Whitelists (comma-separated: +1XXXXXXXXXX)
@@ -39,90 +96,16 @@ for (const num of extraAllowed) {
   PROBE_WHITELIST.add(num)
 }
 
-// ------------------------- DB (idempotent schema) ----------------------------
+// ------------------------- DB (numbered migrations, see migrations.js) -------
 const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 
-db.exec(`
-CREATE TABLE IF NOT EXISTS site_settings (
-  site_id INTEGER NOT NULL,
-  date TEXT NOT NULL,
-  loads_target INTEGER NOT NULL,
-  open_time TEXT NOT NULL,
-  close_time TEXT NOT NULL,
-  workins_per_hour INTEGER DEFAULT 0,
-  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-  PRIMARY KEY (site_id, date)
-);
-CREATE TABLE IF NOT EXISTS time_slots (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  site_id INTEGER NOT NULL,
-  date TEXT NOT NULL,        -- YYYY-MM-DD
-  slot_time TEXT NOT NULL,   -- HH:MM
-  is_workin INTEGER DEFAULT 0,
-  reserved_truck_id INTEGER, -- reservation id
-  reserved_at TEXT,
-  hold_token TEXT,
-  hold_expires_at TEXT,
-  disabled INTEGER DEFAULT 0,
-  UNIQUE(site_id, date, slot_time, is_workin)
-);
-CREATE TABLE IF NOT EXISTS slot_reservations (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  site_id INTEGER NOT NULL,
-  date TEXT NOT NULL,
-  slot_time TEXT NOT NULL,
-  driver_name TEXT,
-  license_plate TEXT,
-  vendor_name TEXT,
-  farm_or_ticket TEXT,
-  est_amount REAL,
-  est_unit TEXT,
-  driver_phone TEXT,
-  queue_code TEXT,               -- 4-digit probe/confirm code
-  status TEXT DEFAULT 'reserved',
-  created_at TEXT DEFAULT CURRENT_TIMESTAMP
-);
-CREATE TABLE IF NOT EXISTS otp_allowlist (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  phone TEXT NOT NULL,           -- +1XXXXXXXXXX
-  role  TEXT NOT NULL,           -- 'admin' or 'probe'
-  added_at TEXT DEFAULT CURRENT_TIMESTAMP,
-  UNIQUE(phone, role)
-);
-CREATE INDEX IF NOT EXISTS idx_resv_probe ON slot_reservations (site_id, date, queue_code);
-CREATE TABLE IF NOT EXISTS otp_codes (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  phone TEXT NOT NULL,
-  code  TEXT NOT NULL,
-  role  TEXT DEFAULT 'driver', -- 'driver' | 'admin' | 'probe'
-  expires_at TEXT NOT NULL,
-  consumed_at TEXT
-);
-`);
-
-// --- One-time, idempotent column adders (for older DBs) ---
-function tableHasColumn(table, col) {
-  const rows = db.prepare(`PRAGMA table_info(${table})`).all();
-  return rows.some(r => r.name === col);
-}
-if (!tableHasColumn('time_slots','reserved_truck_id')) {
-  db.exec(`ALTER TABLE time_slots ADD COLUMN reserved_truck_id INTEGER;`);
-}
-if (!tableHasColumn('time_slots','reserved_at')) {
-  db.exec(`ALTER TABLE time_slots ADD COLUMN reserved_at TEXT;`);
-}
-if (!tableHasColumn('time_slots','disabled')) {
-  db.exec(`ALTER TABLE time_slots ADD COLUMN disabled INTEGER DEFAULT 0;`);
-}
-if (!tableHasColumn('slot_reservations','trucking_company')) {
-  db.exec(`ALTER TABLE slot_reservations ADD COLUMN trucking_company TEXT;`);
-}
+migrate(db, { log: msg => console.log('Migration', msg) });
 
 // ------------------------- Twilio (optional) ---------------------------------
 let twilio = null;
 const hasTwilio = !!(TWILIO_SID && TWILIO_AUTH && TWILIO_FROM);
-(async () => {
+const twilioReady = (async () => {
   try {
     if (hasTwilio) {
       const Twilio = (await import('twilio')).default;
@@ -136,22 +119,135 @@ const hasTwilio = !!(TWILIO_SID && TWILIO_AUTH && TWILIO_FROM);
     twilio = null;
   }
 })();
-async function sendSMS(to, body) {
+// Phones that replied STOP (see /sms/inbound); nothing is sent to them until START
+const isOptedOut = phone =>
+  !!db.prepare(`SELECT 1 FROM sms_opt_outs WHERE phone=?`).get(normPhone(phone) || String(phone || ''));
+
+// ------------------------- SMS outbox ----------------------------------------
+// sendSMS only queues: every text is an sms_outbox row that a background worker sends
+// at SMS_RATE_PER_SEC, retrying with exponential backoff. Twilio then reports delivery
+// to /sms/status (see Inbound SMS) — only when PUBLIC_URL is set, since the localhost
+// default isn't reachable from Twilio. Admin views: /api/admin/sms.
+const SMS_RATE_PER_SEC   = Number(process.env.SMS_RATE_PER_SEC || 1);    // Twilio long code: 1 msg/s
+const SMS_MAX_ATTEMPTS   = Number(process.env.SMS_MAX_ATTEMPTS || 5);
+const SMS_RETRY_BASE_SEC = Number(process.env.SMS_RETRY_BASE_SEC || 30); // 30s, 60s, 120s, ...
+// Twilio errors a retry won't fix: invalid/unroutable number, region blocked, unsubscribed, landline
+const SMS_PERMANENT_ERRORS = new Set([21211, 21408, 21610, 21612, 21614]);
+
+// A crash mid-send leaves rows 'sending'; requeue them (may double-send that one text)
+db.prepare(`UPDATE sms_outbox SET status='queued', updated_at=CURRENT_TIMESTAMP WHERE status='sending'`).run();
+
+// opts: { job_id, priority } — priority jumps the queue (sign-in codes, waitlist offers).
+// Synchronous and throws, so it can share a transaction with the caller's own writes.
+function queueSMS(to, body, { job_id = null, priority = 0 } = {}) {
+  const phone = normPhone(to) || String(to || '');
+  const optedOut = isOptedOut(phone);
+  const { id } = db.prepare(`
+    INSERT INTO sms_outbox (to_phone, body, status, priority, job_id, last_error)
+    VALUES (?, ?, ?, ?, ?, ?) RETURNING id
+  `).get(phone, String(body), optedOut ? 'suppressed' : 'queued', priority, job_id, optedOut ? 'opted out' : null);
+  if (optedOut) {
+    console.log('[SMS SUPPRESSED opted out]', phone);
+    return { sent: false, opted_out: true, id };
+  }
+  setImmediate(pumpOutbox);
+  return { queued: true, id, mock: !hasTwilio };
+}
+
+// Fire-and-forget flavour for request handlers: never throws
+async function sendSMS(to, body, opts) {
+  try {
+    return queueSMS(to, body, opts);
+  } catch (e) {
+    console.warn('SMS enqueue error (non-fatal):', e?.message || e);
+    return { sent: false, error: e?.message || 'enqueue-failed' };
+  }
+}
+
+async function deliverSMS(m) {
+  // queued -> sending is the claim; a row already picked up elsewhere is skipped
+  const claimed = db.prepare(`
+    UPDATE sms_outbox SET status='sending', attempts=attempts+1, updated_at=CURRENT_TIMESTAMP
+     WHERE id=? AND status='queued'
+  `).run(m.id).changes;
+  if (!claimed) return;
+  const attempts = m.attempts + 1;
+
+  if (isOptedOut(m.to_phone)) { // STOP arrived while it sat in the queue
+    db.prepare(`
+      UPDATE sms_outbox SET status='suppressed', last_error='opted out', updated_at=CURRENT_TIMESTAMP WHERE id=?
+    `).run(m.id);
+    return;
+  }
+
   try {
-    if (!hasTwilio || !twilio) {
-      console.log('[SMS MOCK]', to, body);
-      return { sent: false, mock: true };
+    let sid = null;
+    if (!twilio) {
+      console.log('[SMS MOCK]', m.to_phone, m.body);
+    } else {
+      const msg = await twilio.messages.create({
+        from: TWILIO_FROM, to: m.to_phone, body: m.body,
+        ...(process.env.PUBLIC_URL ? { statusCallback: `${PUBLIC_URL}/sms/status` } : {})
+      });
+      sid = msg.sid;
+    }
+    db.prepare(`
+      UPDATE sms_outbox
+         SET status='sent', provider_sid=?, sent_at=CURRENT_TIMESTAMP, last_error=NULL, updated_at=CURRENT_TIMESTAMP
+       WHERE id=?
+    `).run(sid, m.id);
+  } catch (e) {
+    const err = [e?.code, e?.message || 'twilio-failed'].filter(Boolean).join(' ');
+    if (SMS_PERMANENT_ERRORS.has(Number(e?.code)) || attempts >= SMS_MAX_ATTEMPTS) {
+      console.warn(`SMS #${m.id} failed after ${attempts} attempt(s):`, err);
+      db.prepare(`
+        UPDATE sms_outbox SET status='failed', last_error=?, updated_at=CURRENT_TIMESTAMP WHERE id=?
+      `).run(err, m.id);
+    } else {
+      const delay = SMS_RETRY_BASE_SEC * 2 ** (attempts - 1);
+      console.warn(`SMS #${m.id} attempt ${attempts} failed, retrying in ${delay}s:`, err);
+      db.prepare(`
+        UPDATE sms_outbox
+           SET status='queued', last_error=?, next_attempt_at=datetime('now', ?), updated_at=CURRENT_TIMESTAMP
+         WHERE id=?
+      `).run(err, `+${delay} seconds`, m.id);
     }
-    const msg = await twilio.messages.create({ from: TWILIO_FROM, to, body });
-    return { sent: true, sid: msg.sid };
+  }
+}
+
+// Throttle: at most SMS_RATE_PER_SEC sends per wall-clock second across all pumps
+let smsWindow = { start: 0, sent: 0 };
+let pumping = false;
+async function pumpOutbox() {
+  if (pumping) return;
+  pumping = true;
+  try {
+    await twilioReady;
+    if (Date.now() - smsWindow.start >= 1000) smsWindow = { start: Date.now(), sent: 0 };
+    const budget = SMS_RATE_PER_SEC - smsWindow.sent;
+    if (budget <= 0) return;
+
+    const due = db.prepare(`
+      SELECT * FROM sms_outbox
+       WHERE status='queued' AND next_attempt_at <= CURRENT_TIMESTAMP
+       ORDER BY priority DESC, id
+       LIMIT ?
+    `).all(budget);
+    smsWindow.sent += due.length;
+    for (const m of due) await deliverSMS(m);
   } catch (e) {
-    console.warn('Twilio error (non-fatal):', e?.message || e);
-    return { sent: false, error: e?.message || 'twilio-failed' };
+    console.error('sms outbox', e);
+  } finally {
+    pumping = false;
   }
 }
+setInterval(pumpOutbox, 1000).unref();
 
 // ------------------------- App & Middleware ----------------------------------
 const app = express();
+// Behind a proxy (Render: TRUST_PROXY=1), req.ip must come from X-Forwarded-For for the
+// per-IP OTP limits. Off by default: without a proxy that header is client-controlled.
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY));
 app.use(express.json());
 app.use(cookieParser());
 app.use(cors({
@@ -159,6 +255,12 @@ app.use(cors({
   credentials: true
 }));
 app.use(express.static(path.join(__dirname, 'public')));
+// JSON responses present stored UTC timestamps on the site's clock (localizeTimes)
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = body => json(localizeTimes(body, req.site?.timezone || DEFAULT_TZ));
+  next();
+});
 
 // LIST allowlist (admin-only)
 app.get('/api/admin/allowlist', requireAdmin, (req, res) => {
@@ -209,11 +311,78 @@ app.delete('/api/admin/allowlist', requireAdmin, (req, res) => {
 });
 
 // ------------------------- SSE bus -------------------------------------------
+// Every event gets a monotonic id (seeded from the clock, so ids keep growing across
+// restarts) and lands in a ring buffer of SSE_BUFFER_SIZE. A reconnecting client's
+// Last-Event-ID replays what it missed, or a `reset` event when that has rolled off
+// (or the server restarted) and it should reload.
+// Subscribe with /events?site_id=1,2&date=YYYY-MM-DD,...&types=reservation.created,...
+//   slots-changed, queue-changed              { site_id, date }  coarse "reload" pings
+//   reservation.created|updated|canceled      { site_id, date, slot_time, action, reservation, previous? }
+//   slot.disabled, slot.enabled               { site_id, date, slot_times }
+//   hold.created, hold.expired, hold.released { site_id, date, slot_time }
+// Reservation rows carry driver details: only staff (appointments:read) get them whole.
 const bus = new EventEmitter();
 bus.setMaxListeners(0);
 
+const sseBuffer = [];
+let sseLastId = Date.now();
+const sseClients = new Map(); // res -> { role, sites, dates, types, since }
+
+function publishEvent(type, data) {
+  const evt = { id: ++sseLastId, type, data: localizeTimes({ ...data, site_id: Number(data.site_id), ts: Date.now() }, DEFAULT_TZ) };
+  sseBuffer.push(evt);
+  if (sseBuffer.length > SSE_BUFFER_SIZE) sseBuffer.shift();
+  bus.emit('sse', evt);
+  return evt;
+}
+
 function emitSlotsChanged(site_id, date) {
-  bus.emit('slots-changed', { site_id, date, ts: Date.now() });
+  flushReservationEvents();
+  publishEvent('slots-changed', { site_id, date });
+  bus.emit('slots-changed', { site_id, date, ts: Date.now() }); // in-process listeners (waitlist)
+}
+
+function emitQueueChanged(site_id, date) {
+  publishEvent('queue-changed', { site_id, date });
+}
+
+// audit() runs inside the write's transaction, so reservation events wait for it to
+// finish and are dropped if their audit row was rolled back with it.
+const pendingReservationEvents = [];
+function queueReservationEvent(audit_id, action, before, after) {
+  const { calendar_token, ...r } = after || before; // the token is the driver's calendar link
+  const type = action === 'create' ? 'reservation.created'
+    : action === 'cancel' ? 'reservation.canceled' : 'reservation.updated';
+  const moved = before && after && (before.date !== after.date || before.slot_time !== after.slot_time);
+  pendingReservationEvents.push({
+    audit_id, type, data: {
+      site_id: r.site_id, date: r.date, slot_time: r.slot_time, action, reservation: r,
+      ...(moved ? { previous: { date: before.date, slot_time: before.slot_time } } : {})
+    }
+  });
+  if (pendingReservationEvents.length === 1) setImmediate(flushReservationEvents);
+}
+function flushReservationEvents() {
+  if (db.inTransaction || !pendingReservationEvents.length) return;
+  const kept = db.prepare(`SELECT 1 FROM reservation_audit WHERE id=? AND reservation_id=?`);
+  for (const e of pendingReservationEvents.splice(0)) {
+    if (kept.get(e.audit_id, e.data.reservation.id)) publishEvent(e.type, e.data);
+  }
+}
+
+const csvSet = v => v ? new Set(String(v).split(',').map(x => x.trim()).filter(Boolean)) : null;
+
+function sseWants(client, evt) {
+  const d = evt.data;
+  if (client.sites && !client.sites.has(String(d.site_id))) return false;
+  if (client.dates && !client.dates.has(d.date) && !client.dates.has(d.previous?.date)) return false;
+  if (client.types && !client.types.has(evt.type) && evt.type !== 'reset') return false;
+  return true;
+}
+function sseView(client, evt) {
+  const r = evt.data.reservation;
+  if (!r || can(client.role, 'appointments:read')) return evt.data;
+  return { ...evt.data, reservation: { id: r.id, site_id: r.site_id, date: r.date, slot_time: r.slot_time, status: r.status } };
 }
 
 app.get('/events', (req, res) => {
@@ -222,18 +391,51 @@ app.get('/events', (req, res) => {
     'Cache-Control': 'no-cache',
     Connection: 'keep-alive',
   });
-  const send = (evt, data) => {
+  const client = {
+    role: getSession(req)?.role || 'public',
+    sites: csvSet(req.query.site_id), dates: csvSet(req.query.date), types: csvSet(req.query.types),
+    since: new Date().toISOString()
+  };
+  sseClients.set(res, client);
+
+  const send = (evt, data, id) => {
+    if (id) res.write(`id: ${id}\n`);
     res.write(`event: ${evt}\n`);
     res.write(`data: ${JSON.stringify(data)}\n\n`);
   };
-  const handler = payload => send('slots-changed', payload);
-  bus.on('slots-changed', handler);
+  const handler = evt => { if (sseWants(client, evt)) send(evt.type, sseView(client, evt), evt.id); };
+
+  res.write('retry: 3000\n\n');
+  // EventSource resends the last id it saw as a header; ?last_event_id= works for manual clients
+  const lastId = Number(req.get('Last-Event-ID') || req.query.last_event_id) || 0;
+  if (lastId) {
+    if (!sseBuffer.length || lastId < sseBuffer[0].id - 1 || lastId > sseLastId) {
+      send('reset', { reason: 'missed events are no longer available; reload', last_event_id: sseLastId }, sseLastId);
+    } else {
+      for (const evt of sseBuffer) if (evt.id > lastId) handler(evt);
+    }
+  }
+  bus.on('sse', handler);
 
   const ping = setInterval(() => send('ping', { ts: Date.now() }), 25000);
 
   req.on('close', () => {
     clearInterval(ping);
-    bus.off('slots-changed', handler);
+    bus.off('sse', handler);
+    sseClients.delete(res);
+  });
+});
+
+// Open /events connections, for the admin page
+app.get('/api/admin/events', requireAdmin, (req, res) => {
+  const by_role = {}, by_site = {};
+  for (const c of sseClients.values()) {
+    by_role[c.role] = (by_role[c.role] || 0) + 1;
+    for (const site of c.sites || ['all']) by_site[site] = (by_site[site] || 0) + 1;
+  }
+  res.json({
+    ok: true, connections: sseClients.size, by_role, by_site,
+    last_event_id: sseLastId, buffered: sseBuffer.length, oldest_event_id: sseBuffer[0]?.id ?? null
   });
 });
 
@@ -247,27 +449,232 @@ const normPhone = p => {
   if (/^\+1\d{10}$/.test(d)) return d;
   return null;
 };
+const hhmmRe = /^(?:[01]\d|2[0-3]):[0-5]\d$/;
+const dateRe = /^\d{4}-\d{2}-\d{2}$/;
 const toMin  = hhmm => { const [h,m]=String(hhmm).split(':').map(n=>+n); return h*60+m; };
 const toHHMM = mins => `${String(Math.floor(mins/60)).padStart(2,'0')}:${String(mins%60).padStart(2,'0')}`;
-const todayISO = () => new Date().toISOString().slice(0,10);
+const addDays  = (date, n) => { const d = new Date(date + 'T00:00:00Z'); d.setUTCDate(d.getUTCDate() + n); return d.toISOString().slice(0,10); };
+// SQLite CURRENT_TIMESTAMP text ('YYYY-MM-DD HH:MM:SS', UTC) -> Date
+const utcDate  = ts => new Date(String(ts).replace(' ', 'T') + 'Z');
+const sqlTsRe  = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+// Wall-clock fields of an instant in an IANA zone (throws RangeError on unknown zones)
+function zonedParts(at, timeZone) {
+  return Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(at).map(x => [x.type, x.value]));
+}
+function tzOffsetMin(at, timeZone) {
+  const p = zonedParts(at, timeZone);
+  return Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - at.getTime()) / 60000);
+}
+// Calendar date (YYYY-MM-DD) at an instant in a zone. Unknown zones read as UTC.
+function zonedDate(at, timeZone) {
+  try { const p = zonedParts(at, timeZone); return `${p.year}-${p.month}-${p.day}`; }
+  catch { return at.toISOString().slice(0,10); }
+}
+// Wall-clock date + HH:MM in an IANA zone -> Date (UTC instant). Unknown zones read as UTC.
+// The offsets a day either side bracket any DST change: a fall-back time that happens twice
+// takes the first, a spring-forward time that never happens lands just after the gap.
+function siteTimeToUtc(date, hhmm, timeZone) {
+  const wall = new Date(`${date}T${hhmm}:00Z`);
+  try {
+    const before = tzOffsetMin(new Date(wall.getTime() - 86400000), timeZone);
+    const after  = tzOffsetMin(new Date(wall.getTime() + 86400000), timeZone);
+    const fits = [before, after].filter(o => tzOffsetMin(new Date(wall - o * 60000), timeZone) === o);
+    return new Date(wall - (fits.length ? Math.max(...fits) : before) * 60000);
+  } catch { return wall; }
+}
+// Stored UTC timestamp -> ISO 8601 on the zone's clock: '2026-03-08 15:05:00' -> '2026-03-08T10:05:00-05:00'
+function localTimestamp(ts, timeZone) {
+  const at = utcDate(ts);
+  let off = 0;
+  try { off = tzOffsetMin(at, timeZone); } catch {}
+  const a = Math.abs(off);
+  return new Date(at.getTime() + off * 60000).toISOString().slice(0, 19) +
+    `${off < 0 ? '-' : '+'}${String(Math.floor(a / 60)).padStart(2, '0')}:${String(a % 60).padStart(2, '0')}`;
+}
 function expireHolds() {
-  db.prepare(`
+  const gone = db.prepare(`
     UPDATE time_slots
     SET hold_token=NULL, hold_expires_at=NULL
     WHERE hold_expires_at IS NOT NULL AND hold_expires_at < CURRENT_TIMESTAMP
+    RETURNING site_id, date, slot_time
+  `).all();
+  for (const h of gone) publishEvent('hold.expired', h);
+}
+// ------------------------- Sites ---------------------------------------------
+const getSite   = id => db.prepare(`SELECT * FROM sites WHERE id=?`).get(Number(id)) || null;
+const siteLabel = id => getSite(id)?.short_code || `SITE ${id}`;
+// Each site keeps its own clock: "today" and slot instants follow sites.timezone, DST included.
+// `site` is a sites row or an id.
+const siteTz      = site => (site && typeof site === 'object' ? site.timezone : getSite(site)?.timezone) || DEFAULT_TZ;
+const siteToday   = site => zonedDate(new Date(), siteTz(site));
+const slotInstant = (site, date, slot_time) => siteTimeToUtc(date, slot_time, siteTz(site));
+
+// Timestamps are stored as SQLite CURRENT_TIMESTAMP (UTC, no zone marker). Responses and
+// live events carry `at` / `*_at` values as ISO 8601 on the clock of the nearest enclosing
+// object with a timezone or site_id, else `tz`.
+function localizeTimes(v, tz, zones = new Map()) {
+  if (Array.isArray(v)) return v.map(x => localizeTimes(x, tz, zones));
+  if (!v || typeof v !== 'object' || Object.getPrototypeOf(v) !== Object.prototype) return v;
+  if (typeof v.timezone === 'string' && v.timezone) tz = v.timezone;
+  else if (Number(v.site_id) > 0) {
+    if (!zones.has(+v.site_id)) zones.set(+v.site_id, siteTz(+v.site_id));
+    tz = zones.get(+v.site_id);
+  }
+  const out = {};
+  for (const [k, x] of Object.entries(v)) {
+    out[k] = (k === 'at' || k.endsWith('_at')) && typeof x === 'string' && sqlTsRe.test(x)
+      ? localTimestamp(x, tz)
+      : localizeTimes(x, tz, zones);
+  }
+  return out;
+}
+
+// Resolves site_id from :id, body or query onto req.site. Missing ids fall through to
+// the route's own "site_id required" check; unknown ids are 404, inactive ones 409
+// when activeOnly (driver-facing booking/check-in).
+function siteGuard(activeOnly) {
+  return (req, res, next) => {
+    const raw = req.params.id ?? req.body?.site_id ?? req.query.site_id;
+    if (raw === undefined || raw === null || raw === '') return next();
+    const site = getSite(raw);
+    if (!site) return res.status(404).json({ error: 'unknown site' });
+    if (activeOnly && !site.active) return res.status(409).json({ error: 'site is not active' });
+    req.site = site;
+    next();
+  };
+}
+function withSite(req, res, next)       { return siteGuard(false)(req, res, next); }
+function withActiveSite(req, res, next) { return siteGuard(true)(req, res, next); }
+
+// ------------------------- Sessions ------------------------------------------
+const hashToken = t => crypto.createHash('sha256').update(String(t)).digest('hex');
+
+function createSession(req, res, phone, role) {
+  const raw = crypto.randomBytes(32).toString('base64url');
+  db.prepare(`
+    DELETE FROM sessions
+     WHERE datetime(expires_at) < datetime('now','-7 days')
+        OR datetime(revoked_at) < datetime('now','-7 days')
   `).run();
+  const row = db.prepare(`
+    INSERT INTO sessions (token, phone, role, expires_at, last_seen_at, ip, user_agent)
+    VALUES (?, ?, ?, datetime('now', ?), CURRENT_TIMESTAMP, ?, ?)
+    RETURNING expires_at
+  `).get(hashToken(raw), phone, role, `+${SESSION_TTL_HOURS} hours`,
+         req.ip || null, String(req.get('user-agent') || '').slice(0, 200) || null);
+
+  res.cookie(SESSION_COOKIE, raw, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_HOURS * 3600 * 1000
+  });
+  // Pre-session cookies were readable/forgeable; make sure they are gone
+  res.clearCookie('session_phone');
+  res.clearCookie('session_role');
+  return { phone, role, expires_at: row.expires_at };
+}
+
+// Returns the live session for this request (or null); cached on req.session
+function getSession(req) {
+  if (req.session !== undefined) return req.session;
+  const raw = req.cookies?.[SESSION_COOKIE];
+  req.session = null;
+  if (!raw) return null;
+
+  const token = hashToken(raw);
+  const row = db.prepare(`
+    SELECT token, phone, role, created_at, expires_at FROM sessions
+     WHERE token=? AND revoked_at IS NULL AND datetime(expires_at) > datetime('now')
+  `).get(token);
+  if (!row) return null;
+
+  db.prepare(`UPDATE sessions SET last_seen_at=CURRENT_TIMESTAMP WHERE token=?`).run(token);
+  req.session = row;
+  return row;
+}
+
+function revokeSessions(where, ...args) {
+  return db.prepare(`
+    UPDATE sessions SET revoked_at=CURRENT_TIMESTAMP WHERE revoked_at IS NULL AND ${where}
+  `).run(...args).changes;
 }
+
+function requireSession(req, res, next) {
+  if (!getSession(req)) return res.status(401).json({ error: 'sign-in required' });
+  next();
+}
+
 function requireAdmin(req, res, next) {
-  const phone = String(req.cookies?.session_phone || '');
-  const role  = String(req.cookies?.session_role  || '');
-  if (role !== 'admin') return res.status(403).json({ error: 'admin required' });
+  const s = getSession(req);
+  if (!s) return res.status(401).json({ error: 'sign-in required' });
+  if (s.role !== 'admin') return res.status(403).json({ error: 'admin required' });
+
+  // Re-check the allowlist so removing a phone takes effect immediately
+  if (!isWhitelisted('admin', s.phone)) return res.status(403).json({ error: 'admin not allowlisted' });
+  next();
+}
+
+// ------------------------- Roles & permissions -------------------------------
+// admin  — facility office: everything
+// probe  — probe/scale operator: what facility-appointments + scale-verify need
+//          to look up, key in walk-ups and move the queue; no schedule/cancel powers
+// driver — book a slot for themselves
+const ROLE_PERMISSIONS = {
+  admin:  ['*'],
+  probe:  ['appointments:read', 'reservations:probe', 'scale:verify', 'queue:manage', 'slots:book'],
+  driver: ['slots:book']
+};
+const can = (role, perm) => {
+  const perms = ROLE_PERMISSIONS[role] || [];
+  return perms.includes('*') || perms.includes(perm);
+};
 
-  // accept if in ENV whitelist or DB allowlist
-  if (ADMIN_WHITELIST.has(phone)) return next();
-  const inDb = db.prepare(`SELECT 1 FROM otp_allowlist WHERE phone=? AND role='admin'`).get(phone);
-  if (inDb) return next();
+function requirePerm(perm) {
+  return (req, res, next) => {
+    const s = getSession(req);
+    if (!s) return res.status(401).json({ error: 'sign-in required' });
+    if (!can(s.role, perm)) return res.status(403).json({ error: `${s.role} cannot ${perm}` });
+    if (s.role !== 'driver' && !isWhitelisted(s.role, s.phone)) {
+      return res.status(403).json({ error: `${s.role} not allowlisted` });
+    }
+    next();
+  };
+}
 
-  return res.status(403).json({ error: 'admin not allowlisted' });
+// ------------------------- Reservation audit trail ---------------------------
+// Append-only (triggers reject UPDATE/DELETE). Each entry stores only the fields
+// that changed, as { field: [old, new] }.
+const AUDIT_FIELDS = [
+  'site_id', 'date', 'slot_time', 'driver_name', 'license_plate', 'trucking_company',
+  'vendor_name', 'farm_or_ticket', 'est_amount', 'est_unit', 'driver_phone', 'queue_code', 'status',
+  'driver_confirmed_at'
+];
+const getReservation = id => db.prepare(`SELECT * FROM slot_reservations WHERE id=?`).get(id);
+
+// before/after are full reservation rows; null before = created, null after = removed.
+// Without a session the actor is the driver who proved phone + probe code (actorPhone).
+function audit(req, action, before, after, { reason = null, actorPhone = null } = {}) {
+  const changes = {};
+  for (const f of AUDIT_FIELDS) {
+    const o = before?.[f] ?? null;
+    const n = after?.[f] ?? null;
+    if (o !== n) changes[f] = [o, n];
+  }
+  const ref = after || before;
+  const s = getSession(req);
+  const info = db.prepare(`
+    INSERT INTO reservation_audit (reservation_id, site_id, date, action, actor_phone, actor_role, changes, reason)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    ref.id, ref.site_id, ref.date, action,
+    s?.phone || actorPhone || null, s?.role || (actorPhone ? 'driver' : 'system'),
+    JSON.stringify(changes), reason ? String(reason) : null
+  );
+  queueReservationEvent(Number(info.lastInsertRowid), action, before, after);
 }
 
 // ------------------------- OTP Auth (with whitelists) ------------------------
@@ -288,6 +695,56 @@ function isWhitelisted(role, phone) {
   return true; // drivers are open
 }
 
+// ---- OTP throttling: each check returns null or a 429 body with retry_after (s)
+const secondsUntil = sqlTime => Math.max(1, db.prepare(
+  `SELECT CAST(strftime('%s', ?) - strftime('%s','now') AS INTEGER) AS s`
+).get(sqlTime).s);
+
+function otpLockout(phone) {
+  const row = db.prepare(`
+    SELECT COUNT(*) AS n, MAX(at) AS last FROM otp_failures
+     WHERE phone=? AND datetime(at) > datetime('now', ?)
+  `).get(phone, `-${OTP_LOCKOUT_MIN} minutes`);
+  if (row.n < OTP_LOCKOUT_FAILURES) return null;
+  return {
+    error: `too many failed attempts; try again in ${OTP_LOCKOUT_MIN} minutes`,
+    code: 'locked',
+    retry_after: secondsUntil(db.prepare(`SELECT datetime(?, ?) AS t`).get(row.last, `+${OTP_LOCKOUT_MIN} minutes`).t)
+  };
+}
+
+function otpSendBlock(phone, ip) {
+  const last = db.prepare(`
+    SELECT created_at FROM otp_codes
+     WHERE phone=? AND datetime(created_at) > datetime('now', ?)
+     ORDER BY id DESC LIMIT 1
+  `).get(phone, `-${OTP_RESEND_COOLDOWN_SEC} seconds`);
+  if (last) {
+    const wait = secondsUntil(db.prepare(`SELECT datetime(?, ?) AS t`).get(last.created_at, `+${OTP_RESEND_COOLDOWN_SEC} seconds`).t);
+    return { error: `please wait ${wait}s before requesting another code`, code: 'cooldown', retry_after: wait };
+  }
+
+  const hourly = (col, val, max) => {
+    const row = db.prepare(`
+      SELECT COUNT(*) AS n, MIN(created_at) AS first FROM otp_codes
+       WHERE ${col}=? AND datetime(created_at) > datetime('now','-1 hour')
+    `).get(val);
+    if (row.n < max) return null;
+    return {
+      error: 'too many codes requested; try again later',
+      code: 'rate_limited',
+      retry_after: secondsUntil(db.prepare(`SELECT datetime(?, '+1 hour') AS t`).get(row.first).t)
+    };
+  };
+  return hourly('phone', phone, OTP_MAX_PER_PHONE_HOUR)
+      || (ip ? hourly('ip', ip, OTP_MAX_PER_IP_HOUR) : null);
+}
+
+function tooMany(res, block) {
+  res.set('Retry-After', String(block.retry_after));
+  return res.status(429).json(block);
+}
+
 app.post('/auth/request-code', async (req, res) => {
   try {
     const phone = normPhone(req.body?.phone);
@@ -299,19 +756,29 @@ app.post('/auth/request-code', async (req, res) => {
       return res.status(403).json({ error: 'phone not authorized for this login' });
     }
 
+    const block = otpLockout(phone) || otpSendBlock(phone, req.ip);
+    if (block) return tooMany(res, block);
+
     const code = sixDigit();
-    db.prepare(`
-      INSERT INTO otp_codes (phone, code, role, expires_at)
-      VALUES (?, ?, ?, datetime('now','+10 minutes'))
-    `).run(phone, code, role);
+    db.transaction(() => {
+      // Only the newest code is ever valid
+      db.prepare(`
+        UPDATE otp_codes SET consumed_at=CURRENT_TIMESTAMP
+         WHERE phone=? AND consumed_at IS NULL
+      `).run(phone);
+      db.prepare(`
+        INSERT INTO otp_codes (phone, code, role, expires_at, attempts_left, ip, created_at)
+        VALUES (?, ?, ?, datetime('now','+10 minutes'), ?, ?, CURRENT_TIMESTAMP)
+      `).run(phone, code, role, OTP_MAX_ATTEMPTS, req.ip || null);
+    })();
 
     const msg =
       role==='admin' ? `Cargill Admin Code: ${code}. Expires in 10 minutes.` :
       role==='probe' ? `Cargill Probe Portal Code: ${code}. Expires in 10 minutes.` :
       `Cargill Sign-in Code: ${code}. Expires in 10 minutes. Reply STOP to opt out.`;
 
-    const sms = await sendSMS(phone, msg);
-    return res.json({ ok:true, sms });
+    const sms = await sendSMS(phone, msg, { priority: 10 });
+    return res.json({ ok:true, sms, resend_after: OTP_RESEND_COOLDOWN_SEC });
   } catch (e) {
     console.error('/auth/request-code', e);
     return res.json({ ok: true, sms: { sent:false, error:'server-caught' } });
@@ -330,173 +797,429 @@ app.post('/auth/verify', (req, res) => {
       return res.status(403).json({ error: 'phone not authorized for this login' });
     }
 
+    const locked = otpLockout(phone);
+    if (locked) return tooMany(res, locked);
+
     const row = db.prepare(`
       SELECT * FROM otp_codes
-      WHERE phone=? AND code=? AND role=? AND consumed_at IS NULL
+      WHERE phone=? AND role=? AND consumed_at IS NULL
         AND datetime(expires_at) > datetime('now')
       ORDER BY id DESC LIMIT 1
-    `).get(phone, code, role);
+    `).get(phone, role);
+
+    if (!row) return res.status(400).json({ error:'code invalid or expired', code:'expired' });
 
-    if (!row) return res.status(400).json({ error:'code invalid or expired' });
+    if (row.code !== code) {
+      const left = Math.max(0, (row.attempts_left ?? OTP_MAX_ATTEMPTS) - 1);
+      db.prepare(`
+        UPDATE otp_codes
+           SET attempts_left=?, consumed_at=CASE WHEN ?=0 THEN CURRENT_TIMESTAMP ELSE NULL END
+         WHERE id=?
+      `).run(left, left, row.id);
+      db.prepare(`INSERT INTO otp_failures (phone, ip) VALUES (?, ?)`).run(phone, req.ip || null);
+
+      const nowLocked = otpLockout(phone);
+      if (nowLocked) return tooMany(res, nowLocked);
+      if (!left) {
+        return res.status(400).json({ error:'too many wrong attempts; request a new code', code:'attempts_exhausted', attempts_left:0 });
+      }
+      return res.status(400).json({ error:`wrong code; ${left} attempt${left===1?'':'s'} left`, code:'wrong_code', attempts_left:left });
+    }
 
     db.prepare(`UPDATE otp_codes SET consumed_at=CURRENT_TIMESTAMP WHERE id=?`).run(row.id);
-    res.cookie('session_phone', phone, { httpOnly:false, sameSite:'lax' });
-    res.cookie('session_role' , role , { httpOnly:false, sameSite:'lax' });
-    res.json({ ok:true });
+    db.prepare(`DELETE FROM otp_failures WHERE phone=?`).run(phone);
+    db.prepare(`
+      INSERT INTO users (phone, last_login_at) VALUES (?, CURRENT_TIMESTAMP)
+      ON CONFLICT(phone) DO UPDATE SET last_login_at=excluded.last_login_at
+    `).run(phone);
+    const session = createSession(req, res, phone, role);
+    res.json({ ok:true, ...session });
   } catch (e) {
     console.error('/auth/verify', e);
     res.status(500).json({ error:'server error' });
   }
 });
 
-// ------------------------- Schedule PREVIEW (Generate Slots) -----------------
-// Body: { date, open_time, close_time, loads_target, disabled_loads?, disabled_slots?, interval_min? }
-app.post('/api/sites/:id/slots/preview', (req, res) => {
-  try {
-    const site_id = +req.params.id;
-    const {
-      date, open_time, close_time, loads_target,
-      disabled_loads, disabled_slots, interval_min
-    } = req.body || {};
+// Who am I (pages can't read the httpOnly cookie)
+app.get('/auth/me', requireSession, (req, res) => {
+  const { phone, role, created_at, expires_at } = req.session;
+  res.json({ ok:true, phone, role, created_at, expires_at });
+});
 
-    if (!site_id || !date || !open_time || !close_time || !loads_target) {
-      return res.status(400).json({ error:'missing fields' });
-    }
+app.post('/auth/logout', (req, res) => {
+  const raw = req.cookies?.[SESSION_COOKIE];
+  const revoked = raw ? revokeSessions('token=?', hashToken(raw)) : 0;
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ ok:true, revoked });
+});
 
-    const minInt = site_id === 2 ? 6 : 5;
-    const start  = toMin(open_time);
-    const end    = toMin(close_time);
-    if (!(end > start)) return res.status(400).json({ error: 'close must be after open' });
+// Sign out everywhere: every session for the signed-in phone, all roles
+app.post('/auth/logout-all', requireSession, (req, res) => {
+  const revoked = revokeSessions('phone=?', req.session.phone);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ ok:true, revoked });
+});
 
-    const span        = end - start;
-    const wantedInt   = Math.max(0, Number(interval_min) || 0);
-    const computedInt = Math.floor(span / Math.max(1, loads_target - 1));
-    const interval    = Math.max(minInt, wantedInt > 0 ? wantedInt : computedInt);
+// LIST active sessions (admin-only). session_id is the stored hash, not a usable cookie.
+app.get('/api/admin/sessions', requireAdmin, (req, res) => {
+  const phone = req.query.phone ? normPhone(req.query.phone) : null;
+  if (req.query.phone && !phone) return res.status(400).json({ error: 'invalid phone' });
 
-    const times = [];
-    for (let i = 0; i < loads_target; i++) {
-      const t = start + i*interval;
-      if (t >= start && t <= end) times.push(toHHMM(t));
-    }
+  const rows = db.prepare(`
+    SELECT token AS session_id, phone, role, created_at, expires_at, last_seen_at, ip, user_agent
+      FROM sessions
+     WHERE revoked_at IS NULL AND datetime(expires_at) > datetime('now')
+       ${phone ? 'AND phone=?' : ''}
+     ORDER BY datetime(last_seen_at) DESC
+  `).all(...(phone ? [phone] : []));
+
+  const current = hashToken(req.cookies[SESSION_COOKIE]);
+  res.json({ ok:true, sessions: rows.map(r => ({ ...r, current: r.session_id === current })) });
+});
 
-    const wantDisabled = Math.max(0, Number(disabled_loads ?? disabled_slots) || 0);
-    const disabledSet = new Set();
-    if (wantDisabled > 0 && times.length > 0) {
-      const stride = Math.max(1, Math.round(times.length / wantDisabled));
-      for (let i = stride - 1; i < times.length && disabledSet.size < wantDisabled; i += stride) {
-        disabledSet.add(times[i]);
-      }
-      for (let i = times.length - 1; disabledSet.size < wantDisabled && i >= 0; i--) {
-        if (!disabledSet.has(times[i])) disabledSet.add(times[i]);
-      }
+// REVOKE sessions (admin-only). Body: { session_id } or { phone }
+app.delete('/api/admin/sessions', requireAdmin, (req, res) => {
+  const { session_id } = req.body || {};
+  const phone = req.body?.phone ? normPhone(req.body.phone) : null;
+  if (!session_id && !phone) return res.status(400).json({ error: 'session_id or phone required' });
+
+  const revoked = session_id
+    ? revokeSessions('token=?', String(session_id))
+    : revokeSessions('phone=?', phone);
+  res.json({ ok:true, revoked });
+});
+
+// ------------------------- Sites registry ------------------------------------
+// Public list for the site pickers on every page (active sites only)
+app.get('/api/sites', (_req, res) => {
+  const rows = db.prepare(`
+    SELECT id, name, short_code, timezone, default_open_time, default_close_time, facility_phone,
+           booking_window_days, booking_lead_min
+      FROM sites WHERE active = 1 ORDER BY id
+  `).all();
+  // today: the site's own date, for pickers that must not trust the browser's clock
+  res.json({ ok:true, items: rows.map(r => ({ ...r, booking_lead_min: bookingLeadMin(r), today: siteToday(r) })) });
+});
+
+// Validates/normalizes a create or update body. Returns { fields } or { error }.
+// `partial` lets PUT omit fields it isn't changing.
+function parseSiteBody(body, partial) {
+  const f = {};
+  const has = k => body[k] !== undefined;
+
+  if (!partial || has('name')) {
+    f.name = String(body.name || '').trim();
+    if (!f.name) return { error: 'name required' };
+  }
+  if (!partial || has('short_code')) {
+    f.short_code = String(body.short_code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9_-]{1,12}$/.test(f.short_code)) return { error: 'short_code must be 1-12 letters/digits' };
+  }
+  if (has('timezone')) {
+    f.timezone = String(body.timezone || '').trim();
+    try { new Intl.DateTimeFormat('en-US', { timeZone: f.timezone }); }
+    catch { return { error: 'unknown timezone' }; }
+  }
+  if (has('min_interval_min')) {
+    f.min_interval_min = Number(body.min_interval_min);
+    if (!Number.isInteger(f.min_interval_min) || f.min_interval_min < 1 || f.min_interval_min > 240) {
+      return { error: 'min_interval_min must be 1-240' };
+    }
+  }
+  for (const k of ['default_open_time', 'default_close_time']) {
+    if (!has(k)) continue;
+    f[k] = body[k] ? String(body[k]).trim() : null;
+    if (f[k] && !hhmmRe.test(f[k])) return { error: `${k} must be HH:MM` };
+  }
+  if (has('facility_phone')) {
+    f.facility_phone = body.facility_phone ? normPhone(body.facility_phone) : null;
+    if (body.facility_phone && !f.facility_phone) return { error: 'invalid facility_phone' };
+  }
+  // Booking limits: null/'' clears (no limit)
+  for (const [k, min, max] of [['max_per_phone_day', 1, 50], ['max_per_carrier_hour', 1, 100],
+                               ['min_spacing_min', 1, 720], ['booking_window_days', 0, 365],
+                               ['booking_lead_min', 0, 1440]]) {
+    if (!has(k)) continue;
+    f[k] = body[k] === null || body[k] === '' ? null : Number(body[k]);
+    if (f[k] !== null && (!Number.isInteger(f[k]) || f[k] < min || f[k] > max)) {
+      return { error: `${k} must be ${min}-${max} or null` };
     }
+  }
+  if (has('active')) f.active = body.active ? 1 : 0;
+  return { fields: f };
+}
+
+// LIST all sites incl. inactive (admin-only)
+app.get('/api/admin/sites', requireAdmin, (_req, res) => {
+  res.json({ ok:true, items: db.prepare(`SELECT * FROM sites ORDER BY id`).all() });
+});
 
-    const items = times.map(t => ({ slot_time: t, disabled: disabledSet.has(t) ? 1 : 0 }));
-    res.json({ ok:true, interval_min: interval, items });
+// CREATE site (admin-only). Body: { name, short_code, timezone?, min_interval_min?,
+//   default_open_time?, default_close_time?, facility_phone?, active?,
+//   max_per_phone_day?, max_per_carrier_hour?, min_spacing_min?, booking_window_days?,
+//   booking_lead_min? }
+app.post('/api/admin/sites', requireAdmin, (req, res) => {
+  try {
+    const { fields, error } = parseSiteBody(req.body || {}, false);
+    if (error) return res.status(400).json({ error });
+
+    const cols = Object.keys(fields);
+    const site = db.transaction(() => {
+      const row = db.prepare(`
+        INSERT INTO sites (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})
+        RETURNING *
+      `).get(...cols.map(c => fields[c]));
+      const seed = db.prepare(`
+        INSERT INTO reminder_rules (site_id, kind, send_time, minutes_before, template) VALUES (?, ?, ?, ?, ?)
+      `);
+      for (const d of DEFAULT_REMINDER_RULES) seed.run(row.id, d.kind, d.send_time, d.minutes_before, d.template);
+      return row;
+    })();
+    return res.status(201).json({ ok:true, site });
   } catch (e) {
-    console.error('/api/sites/:id/slots/preview', e);
-    res.status(500).json({ error:'server error' });
+    if (String(e.message).includes('UNIQUE')) return res.status(409).json({ error: 'short_code already in use' });
+    console.error('/api/admin/sites POST', e);
+    return res.status(500).json({ error:'server error' });
   }
 });
 
-// ------------------------- Schedule PUBLISH (overwrite open) -----------------
-// Body: { date, open_time, close_time, loads_target, disabled_loads, interval_min? }
-app.post('/api/sites/:id/schedule', (req, res) => {
-  const DEBUG = process.env.NODE_ENV !== 'production';
-
+// UPDATE site (admin-only); any subset of the create fields
+app.put('/api/admin/sites/:id', requireAdmin, withSite, (req, res) => {
   try {
-    const site_id = Number(req.params.id);
-    let { date, open_time = '', close_time = '', loads_target,
-          disabled_loads = 0, interval_min } = req.body || {};
+    const { fields, error } = parseSiteBody(req.body || {}, true);
+    if (error) return res.status(400).json({ error });
+
+    const cols = Object.keys(fields);
+    if (!cols.length) return res.json({ ok:true, site: req.site });
+    const site = db.prepare(`
+      UPDATE sites SET ${cols.map(c => `${c}=?`).join(', ')}, updated_at=CURRENT_TIMESTAMP
+       WHERE id=? RETURNING *
+    `).get(...cols.map(c => fields[c]), req.site.id);
+    return res.json({ ok:true, site });
+  } catch (e) {
+    if (String(e.message).includes('UNIQUE')) return res.status(409).json({ error: 'short_code already in use' });
+    console.error('/api/admin/sites PUT', e);
+    return res.status(500).json({ error:'server error' });
+  }
+});
+
+// DEACTIVATE site (admin-only). Sites are never hard-deleted: slots and
+// reservations keep pointing at them.
+app.delete('/api/admin/sites/:id', requireAdmin, withSite, (req, res) => {
+  db.prepare(`UPDATE sites SET active=0, updated_at=CURRENT_TIMESTAMP WHERE id=?`).run(req.site.id);
+  res.json({ ok:true, id: req.site.id, active: 0 });
+});
 
-    // normalize & validate
-    date = String(date || '').trim();
-    open_time = String(open_time || '').trim();
-    close_time = String(close_time || '').trim();
-    loads_target = Number(loads_target);
-    disabled_loads = Math.max(0, Number(disabled_loads) || 0);
-    const wantedInt = Math.max(0, Number(interval_min) || 0);
+// ------------------------- Schedule generation (shared) ----------------------
+
+// Evenly spaced times from open to close. The interval is the override if given,
+// else auto-spacing, never below the site minimum. Disabled loads are sprinkled evenly.
+// Work-ins (walk-up only) are spread across each hour from open, nudged off regular
+// times so slot_time stays unique per day.
+function planSlots({ open_time, close_time, loads_target, interval_min, disabled_loads, workins_per_hour }, minInt) {
+  const start = toMin(open_time);
+  const end   = toMin(close_time);
+
+  const span        = end - start;
+  const wantedInt   = Math.max(0, Number(interval_min) || 0);
+  const computedInt = Math.floor(span / Math.max(1, loads_target - 1));
+  const interval    = Math.max(minInt, wantedInt > 0 ? wantedInt : computedInt);
+
+  const times = [];
+  for (let i = 0; i < loads_target; i++) {
+    const t = start + i * interval;
+    if (t >= start && t <= end) times.push(toHHMM(t));
+  }
 
-    const hhmmRe = /^(?:[01]\d|2[0-3]):[0-5]\d$/;
-    if (!site_id || !date || !open_time || !close_time || !loads_target) {
-      return res.status(400).json({ error: 'missing fields' });
+  const wantDisabled = Math.max(0, Number(disabled_loads) || 0);
+  const disabledSet = new Set();
+  if (wantDisabled > 0 && times.length > 0) {
+    const stride = Math.max(1, Math.round(times.length / wantDisabled));
+    for (let i = stride - 1; i < times.length && disabledSet.size < wantDisabled; i += stride) {
+      disabledSet.add(times[i]);
     }
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    for (let i = times.length - 1; disabledSet.size < wantDisabled && i >= 0; i--) {
+      if (!disabledSet.has(times[i])) disabledSet.add(times[i]);
     }
-    if (!hhmmRe.test(open_time) || !hhmmRe.test(close_time)) {
-      return res.status(400).json({ error: 'open/close must be HH:MM' });
-    }
-    if (!Number.isFinite(loads_target) || loads_target < 1) {
-      return res.status(400).json({ error: 'loads_target must be >= 1' });
+  }
+
+  const perHour = Math.max(0, Number(workins_per_hour) || 0);
+  const taken = new Set(times);
+  const workins = [];
+  for (let h = start; perHour > 0 && h < end; h += 60) {
+    const hourEnd = Math.min(h + 60, end);
+    for (let k = 0; k < perHour; k++) {
+      let t = h + Math.round((k + 0.5) * 60 / perHour);
+      while (t < hourEnd && taken.has(toHHMM(t))) t++;
+      if (t >= hourEnd) continue;
+      taken.add(toHHMM(t));
+      workins.push(toHHMM(t));
     }
+  }
+  workins.sort();
+  return { interval, times, disabledSet, workins };
+}
+
+// Normalizes one day's hours (site default hours fill in blanks).
+// Returns { day } or { error }.
+function parseDayPlan(body, site) {
+  const day = {
+    open_time:      String(body.open_time  || site?.default_open_time  || '').trim(),
+    close_time:     String(body.close_time || site?.default_close_time || '').trim(),
+    loads_target:   Number(body.loads_target),
+    disabled_loads: Math.max(0, Number(body.disabled_loads) || 0),
+    interval_min:   Math.max(0, Number(body.interval_min) || 0) || null,
+    workins_per_hour: Number(body.workins_per_hour) || 0
+  };
+  if (!day.open_time || !day.close_time || !body.loads_target) return { error: 'missing fields' };
+  if (!hhmmRe.test(day.open_time) || !hhmmRe.test(day.close_time)) {
+    return { error: 'open/close must be HH:MM' };
+  }
+  if (!Number.isFinite(day.loads_target) || day.loads_target < 1) {
+    return { error: 'loads_target must be >= 1' };
+  }
+  if (!Number.isInteger(day.workins_per_hour) || day.workins_per_hour < 0 || day.workins_per_hour > 30) {
+    return { error: 'workins_per_hour must be 0-30' };
+  }
+  if (!(toMin(day.close_time) > toMin(day.open_time))) return { error: 'close must be after open' };
+  const { cap, error } = parseVolumeCap(body);
+  if (error) return { error };
+  return { day: { ...day, ...cap } };
+}
 
-    const minInt = site_id === 2 ? 6 : 5;
-    const start  = toMin(open_time);
-    const end    = toMin(close_time);
-    if (!(end > start)) return res.status(400).json({ error: 'close must be after open' });
+// { volume_cap, volume_cap_unit } from a day plan or cap update; blank cap = no cap
+function parseVolumeCap(body) {
+  const raw = body.volume_cap;
+  const volume_cap = raw === undefined || raw === null || raw === '' ? null : Number(raw);
+  const volume_cap_unit = String(body.volume_cap_unit || 'BUSHELS').toUpperCase();
+  if (volume_cap !== null && !(volume_cap > 0)) return { error: 'volume_cap must be a positive number' };
+  if (!VOLUME_UNITS.includes(volume_cap_unit)) return { error: `volume_cap_unit must be ${VOLUME_UNITS.join(' or ')}` };
+  return { cap: { volume_cap, volume_cap_unit: volume_cap === null ? null : volume_cap_unit } };
+}
 
-    const span        = end - start;
-    const computedInt = Math.floor(span / Math.max(1, loads_target - 1));
-    const interval    = Math.max(minInt, wantedInt > 0 ? wantedInt : computedInt);
+// Replaces the open (unreserved) slots for one day. Reserved slots are never touched,
+// even when they fall off the new grid; holds are dropped.
+function publishDay(site_id, date, day, plan) {
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO site_settings (site_id, date, loads_target, open_time, close_time, workins_per_hour,
+                                 volume_cap, volume_cap_unit)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(site_id, date) DO UPDATE SET
+        loads_target     = excluded.loads_target,
+        open_time        = excluded.open_time,
+        close_time       = excluded.close_time,
+        workins_per_hour = excluded.workins_per_hour,
+        volume_cap       = excluded.volume_cap,
+        volume_cap_unit  = excluded.volume_cap_unit,
+        updated_at       = CURRENT_TIMESTAMP
+    `).run(site_id, date, day.loads_target, day.open_time, day.close_time, day.workins_per_hour || 0,
+           day.volume_cap ?? null, day.volume_cap_unit ?? null);
+
+    // Holds behind live waitlist offers outlive the rebuild if their slot is still on the
+    // grid; offers whose slot went away (or got disabled) go back to WAITING for the next round
+    const offers = db.prepare(`
+      SELECT w.id, t.slot_time, t.hold_token, t.hold_expires_at
+        FROM waitlist_entries w JOIN time_slots t ON t.hold_token = w.offer_token
+       WHERE w.site_id = ? AND w.date = ? AND w.status = 'OFFERED'
+    `).all(site_id, date);
 
-    const times = [];
-    for (let i = 0; i < loads_target; i++) {
-      const t = start + i * interval;
-      if (t >= start && t <= end) times.push(toHHMM(t));
-    }
+    db.prepare(`
+      DELETE FROM time_slots
+      WHERE site_id = ? AND date = ? AND (reserved_truck_id IS NULL OR reserved_truck_id = 0)
+    `).run(site_id, date);
 
-    const disabledSet = new Set();
-    if (disabled_loads > 0 && times.length > 0) {
-      const stride = Math.max(1, Math.round(times.length / disabled_loads));
-      for (let i = stride - 1; i < times.length && disabledSet.size < disabled_loads; i += stride) {
-        disabledSet.add(times[i]);
-      }
-      for (let i = times.length - 1; disabledSet.size < disabled_loads && i >= 0; i--) {
-        if (!disabledSet.has(times[i])) disabledSet.add(times[i]);
-      }
+    db.prepare(`
+      UPDATE time_slots
+         SET hold_token = NULL, hold_expires_at = NULL
+       WHERE site_id = ? AND date = ?
+    `).run(site_id, date);
+
+    const ins = db.prepare(`
+      INSERT INTO time_slots (site_id, date, slot_time, is_workin, reserved_truck_id, reserved_at, hold_token, hold_expires_at, disabled)
+      VALUES (?, ?, ?, ?, NULL, NULL, NULL, NULL, ?)
+      ON CONFLICT(site_id, date, slot_time, is_workin) DO UPDATE SET
+        disabled = excluded.disabled
+    `);
+    for (const t of plan.times) ins.run(site_id, date, t, 0, plan.disabledSet.has(t) ? 1 : 0);
+    for (const t of plan.workins) ins.run(site_id, date, t, 1, 0);
+
+    const rehold = db.prepare(`
+      UPDATE time_slots SET hold_token = ?, hold_expires_at = ?
+       WHERE site_id = ? AND date = ? AND slot_time = ? AND is_workin = 0 AND COALESCE(disabled, 0) = 0
+         AND (reserved_truck_id IS NULL OR reserved_truck_id = 0) AND hold_token IS NULL
+    `);
+    const requeue = db.prepare(`
+      UPDATE waitlist_entries
+         SET status = 'WAITING', offer_token = NULL, offer_slot_time = NULL, offered_at = NULL,
+             offer_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?
+    `);
+    for (const o of offers) {
+      if (!rehold.run(o.hold_token, o.hold_expires_at, site_id, date, o.slot_time).changes) requeue.run(o.id);
     }
+  })();
 
-    const tx = db.transaction(() => {
-      db.prepare(`
-        INSERT INTO site_settings (site_id, date, loads_target, open_time, close_time, workins_per_hour)
-        VALUES (?, ?, ?, ?, ?, 0)
-        ON CONFLICT(site_id, date) DO UPDATE SET
-          loads_target     = excluded.loads_target,
-          open_time        = excluded.open_time,
-          close_time       = excluded.close_time,
-          workins_per_hour = 0,
-          updated_at       = CURRENT_TIMESTAMP
-      `).run(site_id, date, loads_target, open_time, close_time);
+  emitSlotsChanged(site_id, date);
+}
 
-      db.prepare(`
-        DELETE FROM time_slots
-        WHERE site_id = ? AND date = ? AND (reserved_truck_id IS NULL OR reserved_truck_id = 0)
-      `).run(site_id, date);
+// ------------------------- Schedule PREVIEW (Generate Slots) -----------------
+// Body: { date, open_time, close_time, loads_target, disabled_loads?, disabled_slots?, interval_min?, workins_per_hour? }
+app.post('/api/sites/:id/slots/preview', requirePerm('schedule:manage'), withSite, (req, res) => {
+  try {
+    const site_id = +req.params.id;
+    const {
+      date, loads_target,
+      disabled_loads, disabled_slots, interval_min, workins_per_hour
+    } = req.body || {};
+    const open_time  = req.body?.open_time  || req.site?.default_open_time;
+    const close_time = req.body?.close_time || req.site?.default_close_time;
 
-      db.prepare(`
-        UPDATE time_slots
-           SET hold_token = NULL, hold_expires_at = NULL
-         WHERE site_id = ? AND date = ?
-      `).run(site_id, date);
-
-      const ins = db.prepare(`
-        INSERT INTO time_slots (site_id, date, slot_time, is_workin, reserved_truck_id, reserved_at, hold_token, hold_expires_at, disabled)
-        VALUES (?, ?, ?, 0, NULL, NULL, NULL, NULL, ?)
-        ON CONFLICT(site_id, date, slot_time, is_workin) DO UPDATE SET
-          disabled = excluded.disabled
-      `);
-      for (const t of times) ins.run(site_id, date, t, disabledSet.has(t) ? 1 : 0);
-    });
-    tx();
+    if (!site_id || !date || !open_time || !close_time || !loads_target) {
+      return res.status(400).json({ error:'missing fields' });
+    }
+    if (!(toMin(close_time) > toMin(open_time))) return res.status(400).json({ error: 'close must be after open' });
+
+    const { interval, times, disabledSet, workins } = planSlots({
+      open_time, close_time, loads_target, interval_min, workins_per_hour,
+      disabled_loads: disabled_loads ?? disabled_slots
+    }, req.site.min_interval_min);
+
+    const items = [
+      ...times.map(t => ({ slot_time: t, is_workin: 0, disabled: disabledSet.has(t) ? 1 : 0 })),
+      ...workins.map(t => ({ slot_time: t, is_workin: 1, disabled: 0 }))
+    ].sort((a, b) => a.slot_time.localeCompare(b.slot_time));
+    res.json({ ok:true, interval_min: interval, scheduled_count: times.length, workin_count: workins.length, items });
+  } catch (e) {
+    console.error('/api/sites/:id/slots/preview', e);
+    res.status(500).json({ error:'server error' });
+  }
+});
 
-    emitSlotsChanged(site_id, date);
+// ------------------------- Schedule PUBLISH (overwrite open) -----------------
+// Body: { date, open_time, close_time, loads_target, disabled_loads, interval_min?, workins_per_hour?,
+//         volume_cap?, volume_cap_unit? }  (no volume_cap = slot count only)
+app.post('/api/sites/:id/schedule', requirePerm('schedule:manage'), withSite, (req, res) => {
+  try {
+    const site_id = Number(req.params.id);
+    const date = String(req.body?.date || '').trim();
+
+    if (!site_id || !date) return res.status(400).json({ error: 'missing fields' });
+    if (!dateRe.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    const { day, error } = parseDayPlan(req.body || {}, req.site);
+    if (error) return res.status(400).json({ error });
+
+    const plan = planSlots(day, req.site.min_interval_min);
+    publishDay(site_id, date, day, plan);
 
     return res.json({
       ok: true,
-      interval_min: interval,
-      generated: times.length,
-      disabled_count: disabledSet.size
+      interval_min: plan.interval,
+      generated: plan.times.length,
+      disabled_count: plan.disabledSet.size,
+      workin_count: plan.workins.length
     });
   } catch (e) {
     console.error('/api/sites/:id/schedule', e);
@@ -504,49 +1227,238 @@ app.post('/api/sites/:id/schedule', (req, res) => {
   }
 });
 
-// ------------------------- Facility Appointments (all slots) -----------------
-app.get('/api/appointments', (req, res) => {
-  try {
-    const site_id = parseInt(req.query.site_id, 10);
-    const date    = String(req.query.date || todayISO());
-    if (!site_id) return res.status(400).json({ error:'site_id required' });
+// ------------------------- Schedule Templates --------------------------------
+// A template is a named week for one site: `days` has 7 entries indexed by weekday
+// (0=Sun). Each entry is null (closed, left untouched on apply) or
+// { open_time, close_time, loads_target, disabled_loads?, interval_min?, workins_per_hour?,
+//   volume_cap?, volume_cap_unit? }.
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TEMPLATE_MAX_DAYS = 62;
+
+// Validates/normalizes a template body. Returns { fields } or { error }.
+function parseTemplateBody(body, site, partial) {
+  const f = {};
+  if (!partial || body.name !== undefined) {
+    f.name = String(body.name || '').trim();
+    if (!f.name) return { error: 'name required' };
+    if (f.name.length > 60) return { error: 'name too long' };
+  }
+  if (!partial || body.days !== undefined) {
+    if (!Array.isArray(body.days) || body.days.length !== 7) {
+      return { error: 'days must be an array of 7 (Sun..Sat)' };
+    }
+    const days = [];
+    for (let wd = 0; wd < 7; wd++) {
+      if (body.days[wd] == null) { days.push(null); continue; }
+      const { day, error } = parseDayPlan(body.days[wd], site);
+      if (error) return { error: `${WEEKDAYS[wd]}: ${error}` };
+      days.push(day);
+    }
+    f.days = JSON.stringify(days);
+  }
+  return { fields: f };
+}
 
-    const rows = db.prepare(`
-      SELECT
-        s.slot_time,
-        s.is_workin,
-        s.disabled,
-        r.id               AS reservation_id,
-        r.driver_name,
-        r.license_plate,
-        r.trucking_company,
-        r.vendor_name,
-        r.farm_or_ticket,
-        r.est_amount,
-        r.est_unit,
-        r.driver_phone,
-        r.queue_code,
-        COALESCE(r.status, 'open') AS status
-      FROM time_slots s
-      LEFT JOIN slot_reservations r
-        ON r.site_id=s.site_id AND r.date=s.date AND r.slot_time=s.slot_time
-      WHERE s.site_id=? AND s.date=?
-      ORDER BY time(s.slot_time)
-    `).all(site_id, date);
+const templateOut = row => row && { ...row, days: JSON.parse(row.days) };
 
-    res.json({ ok:true, site_id, date, items: rows });
-  } catch (e) {
-    console.error('/api/appointments', e);
+function getTemplate(site_id, id) {
+  return templateOut(db.prepare(`SELECT * FROM schedule_templates WHERE id=? AND site_id=?`).get(id, site_id));
+}
+
+// Inclusive list of YYYY-MM-DD dates (calendar math in UTC so DST can't skip a day)
+function dateRange(from, to) {
+  const out = [];
+  const d = new Date(from + 'T00:00:00Z');
+  const end = new Date(to + 'T00:00:00Z');
+  while (d <= end) {
+    out.push(d.toISOString().slice(0, 10));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return out;
+}
+
+// LIST templates for a site
+app.get('/api/sites/:id/templates', requirePerm('schedule:manage'), withSite, (req, res) => {
+  const rows = db.prepare(`SELECT * FROM schedule_templates WHERE site_id=? ORDER BY name`).all(req.site.id);
+  res.json({ ok:true, items: rows.map(templateOut) });
+});
+
+// CREATE template. Body: { name, days: [7 x (null | day)] }
+app.post('/api/sites/:id/templates', requirePerm('schedule:manage'), withSite, (req, res) => {
+  try {
+    const { fields, error } = parseTemplateBody(req.body || {}, req.site, false);
+    if (error) return res.status(400).json({ error });
+
+    const row = db.prepare(`
+      INSERT INTO schedule_templates (site_id, name, days) VALUES (?, ?, ?) RETURNING *
+    `).get(req.site.id, fields.name, fields.days);
+    return res.status(201).json({ ok:true, template: templateOut(row) });
+  } catch (e) {
+    if (String(e.message).includes('UNIQUE')) return res.status(409).json({ error: 'template name already in use' });
+    console.error('/api/sites/:id/templates POST', e);
+    return res.status(500).json({ error:'server error' });
+  }
+});
+
+// UPDATE template; name and/or days
+app.put('/api/sites/:id/templates/:tid', requirePerm('schedule:manage'), withSite, (req, res) => {
+  try {
+    if (!getTemplate(req.site.id, +req.params.tid)) return res.status(404).json({ error: 'template not found' });
+    const { fields, error } = parseTemplateBody(req.body || {}, req.site, true);
+    if (error) return res.status(400).json({ error });
+
+    const cols = Object.keys(fields);
+    if (cols.length) {
+      db.prepare(`
+        UPDATE schedule_templates SET ${cols.map(c => `${c}=?`).join(', ')}, updated_at=CURRENT_TIMESTAMP
+         WHERE id=?
+      `).run(...cols.map(c => fields[c]), +req.params.tid);
+    }
+    return res.json({ ok:true, template: getTemplate(req.site.id, +req.params.tid) });
+  } catch (e) {
+    if (String(e.message).includes('UNIQUE')) return res.status(409).json({ error: 'template name already in use' });
+    console.error('/api/sites/:id/templates PUT', e);
+    return res.status(500).json({ error:'server error' });
+  }
+});
+
+app.delete('/api/sites/:id/templates/:tid', requirePerm('schedule:manage'), withSite, (req, res) => {
+  const info = db.prepare(`DELETE FROM schedule_templates WHERE id=? AND site_id=?`).run(+req.params.tid, req.site.id);
+  if (!info.changes) return res.status(404).json({ error: 'template not found' });
+  res.json({ ok:true });
+});
+
+// APPLY template over a date range (inclusive). Each open weekday is published
+// exactly like /schedule; closed weekdays are left alone. Reserved slots are kept
+// even if they fall off the new grid (reported as `reserved_off_grid`).
+// Body: { from, to, dry_run?, skip_published? }
+app.post('/api/sites/:id/templates/:tid/apply', requirePerm('schedule:manage'), withSite, (req, res) => {
+  try {
+    const tpl = getTemplate(req.site.id, +req.params.tid);
+    if (!tpl) return res.status(404).json({ error: 'template not found' });
+
+    const from = String(req.body?.from || '').trim();
+    const to   = String(req.body?.to   || '').trim();
+    const dry_run = !!req.body?.dry_run;
+    const skip_published = !!req.body?.skip_published;
+    if (!dateRe.test(from) || !dateRe.test(to)) return res.status(400).json({ error: 'from/to must be YYYY-MM-DD' });
+    if (to < from) return res.status(400).json({ error: 'to must be on or after from' });
+    const dates = dateRange(from, to);
+    if (dates.length > TEMPLATE_MAX_DAYS) {
+      return res.status(400).json({ error: `range too long (max ${TEMPLATE_MAX_DAYS} days)` });
+    }
+
+    const publishedQ = db.prepare(`SELECT 1 FROM site_settings WHERE site_id=? AND date=?`);
+    const reservedQ  = db.prepare(`
+      SELECT slot_time FROM time_slots
+       WHERE site_id=? AND date=? AND reserved_truck_id IS NOT NULL AND reserved_truck_id <> 0
+    `);
+
+    const days = dates.map(date => {
+      const weekday = new Date(date + 'T00:00:00Z').getUTCDay();
+      const day = tpl.days[weekday];
+      const base = { date, weekday: WEEKDAYS[weekday] };
+      if (!day) return { ...base, action: 'closed' };
+      if (skip_published && publishedQ.get(req.site.id, date)) return { ...base, action: 'skipped' };
+
+      const plan = planSlots(day, req.site.min_interval_min);
+      const grid = new Set([...plan.times, ...plan.workins]);
+      const reserved = reservedQ.all(req.site.id, date).map(r => r.slot_time);
+      return {
+        ...base, action: 'publish', day, plan,
+        open_time: day.open_time, close_time: day.close_time,
+        interval_min: plan.interval,
+        generated: plan.times.length,
+        disabled_count: plan.disabledSet.size,
+        workin_count: plan.workins.length,
+        kept_reserved: reserved.length,
+        reserved_off_grid: reserved.filter(t => !grid.has(t))
+      };
+    });
+
+    if (!dry_run) {
+      db.transaction(() => {
+        for (const d of days) if (d.action === 'publish') publishDay(req.site.id, d.date, d.day, d.plan);
+      })();
+    }
+
+    const items = days.map(({ day, plan, ...rest }) => rest);
+    return res.json({
+      ok: true, dry_run, template_id: tpl.id,
+      published: items.filter(d => d.action === 'publish').length,
+      items
+    });
+  } catch (e) {
+    console.error('/api/sites/:id/templates/:tid/apply', e);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
+
+// ------------------------- Facility Appointments (all slots) -----------------
+app.get('/api/appointments', requirePerm('appointments:read'), withSite, (req, res) => {
+  try {
+    const site_id = parseInt(req.query.site_id, 10);
+    const date    = String(req.query.date || siteToday(site_id));
+    if (!site_id) return res.status(400).json({ error:'site_id required' });
+
+    const rows = db.prepare(`
+      SELECT
+        s.slot_time,
+        s.is_workin,
+        s.disabled,
+        r.id               AS reservation_id,
+        r.driver_name,
+        r.license_plate,
+        r.trucking_company,
+        r.vendor_name,
+        r.farm_or_ticket,
+        r.est_amount,
+        r.est_unit,
+        r.driver_phone,
+        r.queue_code,
+        r.driver_confirmed_at,
+        COALESCE(r.status, 'open') AS status
+      FROM time_slots s
+      LEFT JOIN slot_reservations r
+        ON r.site_id=s.site_id AND r.date=s.date AND r.slot_time=s.slot_time AND r.status='reserved'
+      WHERE s.site_id=? AND s.date=?
+      ORDER BY time(s.slot_time)
+    `).all(site_id, date);
+
+    // Online-bookable vs walk-up capacity, counted separately
+    const counts = {};
+    for (const kind of ['scheduled', 'workin']) counts[kind] = { total: 0, reserved: 0, open: 0, disabled: 0 };
+    for (const r of rows) {
+      const c = counts[r.is_workin ? 'workin' : 'scheduled'];
+      c.total++;
+      if (r.reservation_id) c.reserved++;
+      else if (r.disabled) c.disabled++;
+      else c.open++;
+    }
+
+    // Cancelled / no-show / completed reservations for the day (restorable from here)
+    const inactive = db.prepare(`
+      SELECT id AS reservation_id, slot_time, driver_name, license_plate, trucking_company,
+             vendor_name, farm_or_ticket, est_amount, est_unit, driver_phone, queue_code,
+             status, status_changed_at, status_reason
+        FROM slot_reservations
+       WHERE site_id=? AND date=? AND status <> 'reserved'
+       ORDER BY time(slot_time)
+    `).all(site_id, date);
+
+    res.json({ ok:true, site_id, date, counts, capacity: dayCapacity(site_id, date), items: rows, inactive });
+  } catch (e) {
+    console.error('/api/appointments', e);
     res.status(500).json({ error:'server error' });
   }
 });
 
 // ------------------------- Driver (open) Slots -------------------------------
-app.get('/api/sites/:id/slots', (req, res) => {
+app.get('/api/sites/:id/slots', withActiveSite, (req, res) => {
   try {
     expireHolds();
     const site_id = +req.params.id;
-    const date    = String(req.query.date || todayISO());
+    const date    = String(req.query.date || siteToday(req.site));
     if (!site_id) return res.status(400).json({ error: 'site_id required' });
 
     const rows = db.prepare(`
@@ -556,14 +1468,20 @@ app.get('/api/sites/:id/slots', (req, res) => {
         ON r.site_id = s.site_id
        AND r.date    = s.date
        AND r.slot_time = s.slot_time
+       AND r.status  = 'reserved'
       WHERE s.site_id = ?
         AND s.date    = ?
         AND (s.disabled IS NULL OR s.disabled = 0)
+        AND s.is_workin = 0
         AND r.id IS NULL
         AND s.hold_token IS NULL
       ORDER BY time(s.slot_time)
-    `).all(site_id, date);
+    `).all(site_id, date).filter(r => slotBookable(req.site, date, r.slot_time));
 
+    // ?detail=1: { slots, capacity } (remaining volume); the bare array stays the default
+    if (req.query.detail) {
+      return res.json({ ok: true, site_id, date, slots: rows.map(r => r.slot_time), capacity: dayCapacity(site_id, date) });
+    }
     res.json(rows.map(r => r.slot_time));
   } catch (e) {
     console.error('/api/sites/:id/slots', e);
@@ -571,21 +1489,158 @@ app.get('/api/sites/:id/slots', (req, res) => {
   }
 });
 
+// ------------------------- Booking limits ------------------------------------
+// Lead time: drivers can't take a slot that has passed or starts within
+// sites.booking_lead_min minutes (NULL = BOOKING_LEAD_MIN), on the site's clock.
+// Staff (probe walk-ups included) book immediate slots freely.
+const bookingLeadMin = site => site.booking_lead_min ?? BOOKING_LEAD_MIN;
+const slotBookable   = (site, date, slot_time) =>
+  slotInstant(site, date, slot_time) - Date.now() >= bookingLeadMin(site) * 60000;
+
+// Per-site anti-hoarding rules (sites.max_per_phone_day, max_per_carrier_hour,
+// min_spacing_min, booking_window_days; NULL = no limit). Checked at hold with what
+// is known then (a driver's own phone) and again at confirm with the full booking.
+// Admin sessions bypass; /api/admin/reserve is the office override and never checks.
+// Returns null or the 409 reason. excludeId: the reservation being moved, if any;
+// driver: a driver is booking, so the lead time applies too.
+function bookingLimitError(site, { date, slot_time, phone = null, carrier = null, excludeId = null, driver = false }) {
+  if (driver && dateRe.test(date) && hhmmRe.test(slot_time) && !slotBookable(site, date, slot_time)) {
+    return slotInstant(site, date, slot_time) <= new Date()
+      ? 'that slot has already passed'
+      : `${site.short_code} needs at least ${bookingLeadMin(site)} minutes' notice to book a slot`;
+  }
+  if (site.booking_window_days != null) {
+    const last = addDays(siteToday(site), site.booking_window_days);
+    if (date > last) return `${site.short_code} takes bookings up to ${site.booking_window_days} day(s) ahead (through ${last})`;
+  }
+  if (phone && (site.max_per_phone_day != null || site.min_spacing_min)) {
+    const mine = db.prepare(`
+      SELECT slot_time FROM slot_reservations
+       WHERE site_id=? AND date=? AND driver_phone=? AND status='reserved' AND id IS NOT ?
+    `).all(site.id, date, phone, excludeId);
+    if (site.max_per_phone_day != null && mine.length >= site.max_per_phone_day) {
+      return `limit reached: ${site.max_per_phone_day} reservation(s) per phone per day at ${site.short_code}`;
+    }
+    const near = site.min_spacing_min && mine.find(r => Math.abs(toMin(r.slot_time) - toMin(slot_time)) < site.min_spacing_min);
+    if (near) return `your slots must be at least ${site.min_spacing_min} minutes apart (you already have ${near.slot_time})`;
+  }
+  const co = String(carrier || '').trim().toUpperCase();
+  if (co && site.max_per_carrier_hour != null) {
+    const hour = String(slot_time).slice(0, 2);
+    const { n } = db.prepare(`
+      SELECT COUNT(*) AS n FROM slot_reservations
+       WHERE site_id=? AND date=? AND status='reserved' AND UPPER(TRIM(trucking_company))=?
+         AND substr(slot_time, 1, 2)=? AND id IS NOT ?
+    `).get(site.id, date, co, hour, excludeId);
+    if (n >= site.max_per_carrier_hour) {
+      return `limit reached: ${site.max_per_carrier_hour} slot(s) per carrier in the ${hour}:00 hour for ${String(carrier).trim()}`;
+    }
+  }
+  return null;
+}
+
+// ------------------------- Volume capacity -----------------------------------
+// site_settings.volume_cap (+ volume_cap_unit, BUSHELS or TONS) caps a day's booked
+// est_amount on top of the slot count; NULL = slots only. Everything is compared in
+// bushels. Reserved and completed loads count; cancelled and no-shows give it back.
+const VOLUME_UNITS = ['BUSHELS', 'TONS'];
+
+function toBushels(amount, unit) {
+  const n = Number(amount);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  switch (String(unit || 'BUSHELS').toUpperCase()) {
+    case 'TONS': return n * 2000 / LB_PER_BUSHEL;
+    case 'LB':   return n / LB_PER_BUSHEL;
+    default:     return n;
+  }
+}
+const fromBushels = (bu, unit) => String(unit).toUpperCase() === 'TONS' ? bu * LB_PER_BUSHEL / 2000 : bu;
+
+// null when the day has no cap, else cap/booked/remaining in the cap's unit (and bushels)
+function dayCapacity(site_id, date, excludeId = null) {
+  const day = db.prepare(`SELECT volume_cap, volume_cap_unit FROM site_settings WHERE site_id=? AND date=?`).get(site_id, date);
+  if (day?.volume_cap == null) return null;
+  const unit = day.volume_cap_unit || 'BUSHELS';
+  const capBu = toBushels(day.volume_cap, unit);
+  const bookedBu = db.prepare(`
+    SELECT est_amount, est_unit FROM slot_reservations
+     WHERE site_id=? AND date=? AND status IN ('reserved', 'completed') AND id IS NOT ?
+  `).all(site_id, date, excludeId).reduce((sum, r) => sum + toBushels(r.est_amount, r.est_unit), 0);
+  const r1 = n => Math.round(n * 10) / 10;
+  return {
+    unit, cap: day.volume_cap,
+    booked: r1(fromBushels(bookedBu, unit)),
+    remaining: r1(fromBushels(Math.max(0, capBu - bookedBu), unit)),
+    remaining_bushels: Math.max(0, Math.round(capBu - bookedBu))
+  };
+}
+
+// null, or the 409 reason a booking of est_amount/est_unit would go over the day's cap.
+// Once the day is full nothing more goes in, estimate or not.
+function volumeCapError(site_id, date, est_amount, est_unit, excludeId = null) {
+  const cap = dayCapacity(site_id, date, excludeId);
+  if (!cap) return null;
+  const unit = cap.unit.toLowerCase();
+  if (cap.remaining_bushels <= 0) return `${date} is at its volume cap (${cap.cap} ${unit})`;
+  const want = fromBushels(toBushels(est_amount, est_unit), cap.unit);
+  if (want > cap.remaining) {
+    return `estimate ${Math.round(want * 10) / 10} ${unit} is over the ${cap.remaining} ${unit} left for ${date}`;
+  }
+  return null;
+}
+
+// PUT /api/sites/:id/volume-cap  Body: { date, volume_cap (null clears), volume_cap_unit? }
+// Adjusts a published day's cap without republishing its slots.
+app.put('/api/sites/:id/volume-cap', requirePerm('schedule:manage'), withSite, (req, res) => {
+  try {
+    const date = String(req.body?.date || '');
+    if (!dateRe.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    const { cap, error } = parseVolumeCap(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const info = db.prepare(`
+      UPDATE site_settings SET volume_cap=?, volume_cap_unit=?, updated_at=CURRENT_TIMESTAMP
+       WHERE site_id=? AND date=?
+    `).run(cap.volume_cap, cap.volume_cap_unit, req.site.id, date);
+    if (!info.changes) return res.status(404).json({ error: `${date} is not published for ${req.site.short_code}` });
+
+    emitSlotsChanged(req.site.id, date);
+    res.json({ ok: true, site_id: req.site.id, date, capacity: dayCapacity(req.site.id, date) });
+  } catch (e) {
+    console.error('/api/sites/:id/volume-cap', e);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
 // ------------------------- Hold / Confirm ------------------------------------
-app.post('/api/slots/hold', (req, res) => {
+app.post('/api/slots/hold', requirePerm('slots:book'), withActiveSite, (req, res) => {
   expireHolds();
   const { site_id, date, slot_time } = req.body || {};
   if (!site_id || !date || !slot_time) return res.status(400).json({ error:'missing fields' });
+  const s = getSession(req);
+  const blocked = s.role === 'driver' && bookingBlock(s.phone);
+  if (blocked) return res.status(403).json(blocked);
+  if (s.role !== 'admin' && req.site) {
+    const limit = bookingLimitError(req.site, {
+      date, slot_time, phone: s.role === 'driver' ? s.phone : null, carrier: req.body.trucking_company,
+      driver: s.role === 'driver'
+    });
+    if (limit) return res.status(409).json({ error: limit, code: 'booking_limit' });
+  }
 
   const row = db.prepare(`
-    SELECT id, reserved_truck_id, hold_expires_at, disabled
+    SELECT id, reserved_truck_id, hold_expires_at, disabled, is_workin
     FROM time_slots WHERE site_id=? AND date=? AND slot_time=?
   `).get(site_id, date, slot_time);
 
   if (!row) return res.status(404).json({ error:'slot not found' });
   if (row.disabled) return res.status(409).json({ error:'slot disabled' });
+  // Work-ins are held back for walk-ups keyed in at the probe
+  if (row.is_workin && !can(getSession(req).role, 'reservations:probe')) {
+    return res.status(409).json({ error:'work-in slots are for walk-ups only' });
+  }
   if (row.reserved_truck_id) return res.status(409).json({ error:'slot reserved' });
-  if (row.hold_expires_at && new Date(row.hold_expires_at) > new Date())
+  if (row.hold_expires_at && utcDate(row.hold_expires_at) > new Date())
     return res.status(409).json({ error:'slot on hold' });
 
   const token = crypto.randomUUID();
@@ -596,63 +1651,132 @@ app.post('/api/slots/hold', (req, res) => {
   `).run(token, row.id);
 
   const ex = db.prepare(`SELECT hold_expires_at AS e FROM time_slots WHERE id=?`).get(row.id).e;
+  publishEvent('hold.created', { site_id, date, slot_time, expires_at: ex });
   res.json({ hold_token: token, expires_at: ex });
 });
 
-app.post('/api/slots/confirm', async (req, res) => {
+app.post('/api/slots/confirm', requirePerm('slots:book'), async (req, res) => {
   expireHolds();
   const { hold_token } = req.body || {};
   if (!hold_token) return res.status(400).json({ error:'hold_token required' });
 
   const slot = db.prepare(`
     SELECT * FROM time_slots
-    WHERE hold_token=? AND hold_expires_at > CURRENT_TIMESTAMP
+    WHERE hold_token=? AND hold_expires_at > CURRENT_TIMESTAMP AND reserved_truck_id IS NULL
   `).get(hold_token);
   if (!slot) return res.status(410).json({ error:'hold expired or invalid' });
 
+  // Drivers book for the phone they signed in with; staff key the driver's phone in.
+  // Admins can book anyone, past bans and limits.
+  const s = getSession(req);
+  const body = { ...req.body };
+  if (s.role === 'driver') body.driver_phone = s.phone;
+  const phone = normPhone(body.driver_phone);
+  if (s.role !== 'admin') {
+    const blocked = phone && bookingBlock(phone);
+    if (blocked) return res.status(403).json(blocked);
+    const limit = bookingLimitError(getSite(slot.site_id), {
+      date: slot.date, slot_time: slot.slot_time, phone, carrier: body.trucking_company, driver: s.role === 'driver'
+    });
+    if (limit) return res.status(409).json({ error: limit, code: 'booking_limit' });
+  }
+  const full = volumeCapError(slot.site_id, slot.date, body.est_amount, body.est_unit);
+  if (full) return res.status(409).json({ error: full, code: 'volume_cap' });
+
+  const out = await bookHeldSlot(req, slot, body);
+  if (!out) return res.status(410).json({ error:'hold expired or invalid' });
+  res.status(201).json({ ok:true, ...out });
+});
+
+// Turns a live hold into a reservation (shared by /confirm and waitlist accept).
+// Returns null if the slot was reserved or lost its hold in the meantime.
+async function bookHeldSlot(req, slot, body, { actorPhone = null } = {}) {
   const {
   driver_name, license_plate, trucking_company, vendor_name,
   farm_or_ticket, est_amount, est_unit, driver_phone, 
-} = req.body || {};
+} = body;
 
   const probe = fourDigit();
 
- const info = db.prepare(`
-  INSERT INTO slot_reservations
-    (site_id, date, slot_time,
-     driver_name, license_plate, trucking_company, vendor_name,
-     farm_or_ticket, est_amount, est_unit,
-     driver_phone, queue_code, status)
-  VALUES (?,?,?,?,?,?,?,?,?,?,?,?,'reserved')
-  RETURNING id
-`).get(
-  slot.site_id, slot.date, slot.slot_time,
-  driver_name || null, license_plate || null, trucking_company || null, vendor_name || null,
-  farm_or_ticket || null, est_amount || null, (est_unit || 'BUSHELS').toUpperCase(),
-  normPhone(driver_phone) || null, probe
-);
+  const info = db.transaction(() => {
+    const held = db.prepare(`
+      SELECT 1 FROM time_slots WHERE id=? AND hold_token=? AND reserved_truck_id IS NULL
+    `).get(slot.id, slot.hold_token);
+    if (!held) return null;
 
-  db.prepare(`
-    UPDATE time_slots
-    SET reserved_truck_id=?, reserved_at=CURRENT_TIMESTAMP,
-        hold_token=NULL, hold_expires_at=NULL
-    WHERE id=?
-  `).run(info.id, slot.id);
+    const row = db.prepare(`
+      INSERT INTO slot_reservations
+        (site_id, date, slot_time,
+         driver_name, license_plate, trucking_company, vendor_name,
+         farm_or_ticket, est_amount, est_unit,
+         driver_phone, queue_code, status)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,'reserved')
+      RETURNING id
+    `).get(
+      slot.site_id, slot.date, slot.slot_time,
+      driver_name || null, license_plate || null, trucking_company || null, vendor_name || null,
+      farm_or_ticket || null, est_amount || null, (est_unit || 'BUSHELS').toUpperCase(),
+      normPhone(driver_phone) || null, probe
+    );
+
+    db.prepare(`
+      UPDATE time_slots
+      SET reserved_truck_id=?, reserved_at=CURRENT_TIMESTAMP,
+          hold_token=NULL, hold_expires_at=NULL
+      WHERE id=?
+    `).run(row.id, slot.id);
+    audit(req, 'create', null, getReservation(row.id), { actorPhone });
+    return row;
+  })();
+  if (!info) return null;
 
   emitSlotsChanged(slot.site_id, slot.date);
 
+  const calendar_url = calendarUrl(info.id);
   if (driver_phone) {
     await sendSMS(
       driver_phone,
-      `Cargill: Confirmed ${slot.date} at ${slot.slot_time}. Probe code: ${probe}. Reply STOP to opt out.`
+      `Cargill: Confirmed ${slot.date} at ${slot.slot_time}. Probe code: ${probe}. ` +
+      `Add to calendar: ${calendar_url} Reply STOP to opt out.`
     );
   }
 
-  res.status(201).json({ ok:true, reservation_id: info.id, queue_code: probe });
+  return { reservation_id: info.id, queue_code: probe, calendar_url };
+}
+
+function releaseHold(token) {
+  const slot = db.prepare(`
+    UPDATE time_slots
+       SET hold_token=NULL, hold_expires_at=NULL
+     WHERE hold_token=? AND reserved_truck_id IS NULL
+     RETURNING site_id, date, slot_time
+  `).get(token);
+  if (slot) {
+    publishEvent('hold.released', slot);
+    emitSlotsChanged(slot.site_id, slot.date);
+  }
+  return slot || null;
+}
+
+// Driver backed out before confirming: free the slot now instead of waiting out the hold.
+// The token is the only key — no site/date/time lookups.
+app.post('/api/slots/release', requirePerm('slots:book'), (req, res) => {
+  try {
+    const { hold_token } = req.body || {};
+    if (!hold_token) return res.status(400).json({ error:'hold_token required' });
+
+    const slot = releaseHold(String(hold_token));
+    if (!slot) return res.status(404).json({ error:'hold not found or already released' });
+
+    res.json({ ok:true, ...slot });
+  } catch (e) {
+    console.error('/api/slots/release', e);
+    res.status(500).json({ error:'server error' });
+  }
 });
 
 // ------------------- Probe Upsert (create or edit reservation) -------------------
-app.post('/api/slots/probe-upsert', async (req, res) => {
+app.post('/api/slots/probe-upsert', requirePerm('reservations:probe'), withSite, async (req, res) => {
   try {
     const {
       site_id, date, slot_time, reservation_id,
@@ -673,6 +1797,11 @@ app.post('/api/slots/probe-upsert', async (req, res) => {
     `).get(site_id, date, slot_time);
 
     if (!slot) return res.status(404).json({ error: 'slot not found' });
+    if (reservation_id) {
+      const prev = getReservation(reservation_id);
+      if (!prev) return res.status(404).json({ error: 'reservation not found' });
+      if (prev.status !== 'reserved') return res.status(409).json({ error: `reservation is ${prev.status}` });
+    }
 
     const newProbeCode = () => String(Math.floor(1000 + Math.random()*9000));
 
@@ -703,6 +1832,7 @@ app.post('/api/slots/probe-upsert', async (req, res) => {
           phoneNorm || null,
           reservation_id
         );
+        audit(req, 'update', prev, getReservation(reservation_id), { reason });
 
         queue_code = prev.queue_code || null;
         updated = true;
@@ -720,12 +1850,13 @@ app.post('/api/slots/probe-upsert', async (req, res) => {
           INSERT INTO slot_reservations
             (site_id, date, slot_time, driver_name, license_plate, trucking_company, vendor_name,
              farm_or_ticket, est_amount, est_unit, driver_phone, queue_code, status)
-VALUES (?,?,?,?,?,?,?,?,?,?,?, 'reserved', ?)
+          VALUES (?,?,?,?,?,?,?,?,?,?,?,?, 'reserved')
           RETURNING id
         `).get(
           site_id, date, slot_time,
           driver_name || null,
           license_plate || null,
+          trucking_company || null,
           vendor_name || null,
           farm_or_ticket || null,
           est_amount ?? null,
@@ -740,6 +1871,7 @@ VALUES (?,?,?,?,?,?,?,?,?,?,?, 'reserved', ?)
                  hold_token=NULL, hold_expires_at=NULL
            WHERE id=?
         `).run(info.id, slot.id);
+        audit(req, 'create', null, getReservation(info.id), { reason });
 
         resvId = info.id;
         queue_code = code;
@@ -754,12 +1886,12 @@ VALUES (?,?,?,?,?,?,?,?,?,?,?, 'reserved', ?)
       try {
         if (created) {
           const body =
-            `Cargill: Confirmed ${date} at ${slot_time} (${site_id===1?'EAST':'WEST'}). ` +
+            `Cargill: Confirmed ${date} at ${slot_time} (${siteLabel(site_id)}). ` +
             `Probe code: ${queue_code}. Reply STOP to opt out.`;
           await sendSMS(phoneNorm, body);
         } else if (updated) {
           const body =
-            `Cargill: Your ${date} ${slot_time} (${site_id===1?'EAST':'WEST'}) details were updated${reason?`: ${reason}`:''}.` +
+            `Cargill: Your ${date} ${slot_time} (${siteLabel(site_id)}) details were updated${reason?`: ${reason}`:''}.` +
             (queue_code ? ` Probe code: ${queue_code}.` : '');
           await sendSMS(phoneNorm, body);
         }
@@ -774,41 +1906,132 @@ VALUES (?,?,?,?,?,?,?,?,?,?,?, 'reserved', ?)
 });
 
 // ------------------------- Cancel / Reassign ---------------------------------
-app.post('/api/slots/cancel', (req, res) => {
+// Reservation lifecycle: only 'reserved' holds a slot. Ending one keeps the row (with
+// when and why) and frees the slot; /api/slots/restore undoes it while the slot is free.
+const RESV_ENDED = ['canceled_by_driver', 'canceled_by_facility', 'no_show', 'completed'];
+
+// Safe inside an outer transaction; the caller emits slots-changed.
+function endReservation(r, req, status, { reason = null, actorPhone = null } = {}) {
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE slot_reservations
+         SET status=?, status_changed_at=CURRENT_TIMESTAMP, status_reason=?
+       WHERE id=?
+    `).run(status, reason ? String(reason) : null, r.id);
+    db.prepare(`
+      UPDATE time_slots
+      SET reserved_truck_id=NULL, reserved_at=NULL
+      WHERE site_id=? AND date=? AND slot_time=? AND reserved_truck_id=?
+    `).run(r.site_id, r.date, r.slot_time, r.id);
+    audit(req, status.startsWith('canceled') ? 'cancel' : status, r, getReservation(r.id), { reason, actorPhone });
+  })();
+}
+
+app.post('/api/slots/cancel', requirePerm('reservations:manage'), (req, res) => {
   const { reservation_id } = req.body || {};
   if (!reservation_id) return res.status(400).json({ error:'reservation_id required' });
 
   const r = db.prepare(`SELECT * FROM slot_reservations WHERE id=?`).get(reservation_id);
   if (!r) return res.status(404).json({ error:'not found' });
+  if (r.status !== 'reserved') return res.status(409).json({ error:`reservation is already ${r.status}` });
 
-  db.prepare(`DELETE FROM slot_reservations WHERE id=?`).run(reservation_id);
-  db.prepare(`
-    UPDATE time_slots
-    SET reserved_truck_id=NULL, reserved_at=NULL
-    WHERE site_id=? AND date=? AND slot_time=? AND reserved_truck_id=?
-  `).run(r.site_id, r.date, r.slot_time, r.id);
-
+  endReservation(r, req, 'canceled_by_facility', { reason: req.body?.reason });
   emitSlotsChanged(r.site_id, r.date);
 
-  res.json({ ok:true, reservation_id, queue_code: r.queue_code });
+  res.json({ ok:true, reservation_id, queue_code: r.queue_code, status: 'canceled_by_facility' });
+});
+
+// Close out a reservation with any end status (no_show, completed, ...).
+// Body: { reservation_id, status, reason? }
+app.post('/api/slots/set-status', requirePerm('reservations:manage'), (req, res) => {
+  try {
+    const { reservation_id, status, reason } = req.body || {};
+    if (!reservation_id) return res.status(400).json({ error:'reservation_id required' });
+    if (!RESV_ENDED.includes(status)) {
+      return res.status(400).json({ error:`status must be one of ${RESV_ENDED.join(', ')}` });
+    }
+
+    const r = getReservation(reservation_id);
+    if (!r) return res.status(404).json({ error:'not found' });
+    if (r.status !== 'reserved') return res.status(409).json({ error:`reservation is already ${r.status}` });
+
+    endReservation(r, req, status, { reason });
+    emitSlotsChanged(r.site_id, r.date);
+    res.json({ ok:true, reservation_id: r.id, status });
+  } catch (e) {
+    console.error('/api/slots/set-status', e);
+    res.status(500).json({ error:'server error' });
+  }
+});
+
+// Undo an end status, back onto the same slot, if nobody has taken it since.
+// Body: { reservation_id, reason? }
+app.post('/api/slots/restore', requirePerm('reservations:manage'), (req, res) => {
+  try {
+    expireHolds();
+    const { reservation_id, reason } = req.body || {};
+    if (!reservation_id) return res.status(400).json({ error:'reservation_id required' });
+
+    const r = getReservation(reservation_id);
+    if (!r) return res.status(404).json({ error:'not found' });
+    if (r.status === 'reserved') return res.status(409).json({ error:'reservation is already active' });
+
+    const restored = db.transaction(() => {
+      // The slot may have been dropped by a later publish; bring it back as a regular slot
+      db.prepare(`
+        INSERT OR IGNORE INTO time_slots (site_id, date, slot_time, is_workin)
+        VALUES (?, ?, ?, 0)
+      `).run(r.site_id, r.date, r.slot_time);
+      const slot = db.prepare(`
+        SELECT * FROM time_slots WHERE site_id=? AND date=? AND slot_time=?
+      `).get(r.site_id, r.date, r.slot_time);
+      const taken = db.prepare(`
+        SELECT 1 FROM slot_reservations
+         WHERE site_id=? AND date=? AND slot_time=? AND status='reserved' AND id<>?
+      `).get(r.site_id, r.date, r.slot_time, r.id);
+      if (slot.reserved_truck_id || slot.hold_token || taken) return false;
+
+      db.prepare(`
+        UPDATE time_slots SET reserved_truck_id=?, reserved_at=CURRENT_TIMESTAMP WHERE id=?
+      `).run(r.id, slot.id);
+      db.prepare(`
+        UPDATE slot_reservations
+           SET status='reserved', status_changed_at=CURRENT_TIMESTAMP, status_reason=?
+         WHERE id=?
+      `).run(reason ? String(reason) : null, r.id);
+      audit(req, 'restore', r, getReservation(r.id), { reason });
+      return true;
+    })();
+    if (!restored) return res.status(409).json({ error:'that slot has been taken since; reassign instead' });
+
+    emitSlotsChanged(r.site_id, r.date);
+    res.json({ ok:true, reservation_id: r.id, status: 'reserved', slot_time: r.slot_time });
+  } catch (e) {
+    console.error('/api/slots/restore', e);
+    res.status(500).json({ error:'server error' });
+  }
 });
 
-app.post('/api/slots/reassign', (req, res) => {
+app.post('/api/slots/reassign', requirePerm('reservations:manage'), (req, res) => {
   const { reservation_id, to_slot_time } = req.body || {};
   if (!reservation_id || !to_slot_time) return res.status(400).json({ error:'missing fields' });
 
   const r = db.prepare(`SELECT * FROM slot_reservations WHERE id=?`).get(reservation_id);
   if (!r) return res.status(404).json({ error:'not found' });
+  if (r.status !== 'reserved') return res.status(409).json({ error:`reservation is ${r.status}; restore it first` });
 
   db.prepare(`
     INSERT OR IGNORE INTO time_slots (site_id, date, slot_time, is_workin)
     VALUES (?, ?, ?, 0)
   `).run(r.site_id, r.date, to_slot_time);
 
+  expireHolds();
   const tgt = db.prepare(`
     SELECT * FROM time_slots WHERE site_id=? AND date=? AND slot_time=?
   `).get(r.site_id, r.date, to_slot_time);
   if (tgt.reserved_truck_id) return res.status(409).json({ error:'target slot reserved' });
+  // A driver is mid-booking or holds it as a waitlist offer
+  if (tgt.hold_token) return res.status(409).json({ error:'target slot on hold' });
 
   const tx = db.transaction(() => {
     db.prepare(`
@@ -825,6 +2048,7 @@ app.post('/api/slots/reassign', (req, res) => {
 
     db.prepare(`UPDATE slot_reservations SET slot_time=? WHERE id=?`)
       .run(to_slot_time, reservation_id);
+    audit(req, 'reassign', r, getReservation(r.id), { reason: req.body?.reason });
   });
   tx();
 
@@ -834,7 +2058,7 @@ app.post('/api/slots/reassign', (req, res) => {
 });
 
 // ------------------------- Admin: reserve/update (for completeness) ----------
-app.post('/api/admin/reserve', async (req, res) => {
+app.post('/api/admin/reserve', requirePerm('reservations:manage'), withSite, async (req, res) => {
   try {
     const {
       site_id, date, slot_time,
@@ -849,62 +2073,43 @@ app.post('/api/admin/reserve', async (req, res) => {
       return res.status(400).json({ error: 'site_id, date, slot_time required' });
     }
 
+    // The slot has to exist and be free before the day's volume cap is worth reporting
+    expireHolds();
+    const slot = db.prepare(`SELECT * FROM time_slots WHERE site_id=? AND date=? AND slot_time=?`)
+      .get(site_id, date, slot_time);
+    if (!slot) return res.status(404).json({ error: 'slot not found' });
+    if (slot.reserved_truck_id) return res.status(409).json({ error: 'slot reserved' });
+    // Held by a driver mid-booking or by a live waitlist offer: don't take it from them
+    if (slot.hold_token) return res.status(409).json({ error: 'slot on hold' });
+
+    const full = volumeCapError(site_id, date, est_amount, est_unit);
+    if (full) return res.status(409).json({ error: full, code: 'volume_cap' });
+
     const phone = driver_phone ? normPhone(driver_phone) : null;
+    // Office override: booking limits are not enforced here, only reported back
+    const limits_bypassed = req.site && bookingLimitError(req.site, { date, slot_time, phone, carrier: trucking_company });
     const probe = (queue_code && /^\d{4}$/.test(String(queue_code)))
       ? String(queue_code)
       : fourDigit();
 
-    // Single transaction: ensure slot exists -> insert reservation -> mark slot reserved.
-    const tx = db.transaction(() => {
-      // Ensure the time slot row exists so the update below will work.
-      db.prepare(`
-        INSERT OR IGNORE INTO time_slots (site_id, date, slot_time, is_workin)
-        VALUES (?, ?, ?, 0)
-      `).run(site_id, date, slot_time);
-
-      // Insert reservation (13 columns → 13 values).
-      const info = db.prepare(`
-        INSERT INTO slot_reservations
-          (site_id, date, slot_time,
-           driver_name, license_plate, trucking_company, vendor_name,
-           farm_or_ticket, est_amount, est_unit, driver_phone,
-           queue_code, status)
-        VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)
-        RETURNING id
-      `).get(
-        site_id, date, slot_time,
-        driver_name || null, license_plate || null, trucking_company || null, vendor_name || null,
-        farm_or_ticket || null, (est_amount ?? null),
-        (est_unit || 'BUSHELS').toUpperCase(),
-        phone,
-        probe, 'reserved'
-      );
-
-      // Mark slot reserved & clear any hold state.
-      db.prepare(`
-        UPDATE time_slots
-           SET reserved_truck_id = ?, reserved_at = CURRENT_TIMESTAMP,
-               hold_token = NULL, hold_expires_at = NULL
-         WHERE site_id = ? AND date = ? AND slot_time = ?
-      `).run(info.id, site_id, date, slot_time);
-
-      return info.id;
+    const reservation_id = officeReserve(req, {
+      site_id, date, slot_time, driver_name, license_plate, trucking_company, vendor_name,
+      farm_or_ticket, est_amount, est_unit, phone, probe
     });
 
-    const reservation_id = tx();
-
     // Courtesy SMS (non-fatal if Twilio isn’t configured).
     if (phone) {
       try {
         await sendSMS(
           phone,
-          `Cargill: Reserved ${date} at ${slot_time}. Probe code: ${probe}. Reply STOP to opt out.`
+          `Cargill: Reserved ${date} at ${slot_time}. Probe code: ${probe}. ` +
+          `Add to calendar: ${calendarUrl(reservation_id)} Reply STOP to opt out.`
         );
       } catch (_) {}
     }
 
     emitSlotsChanged(site_id, date);
-    res.json({ ok: true, reservation_id, queue_code: probe });
+    res.json({ ok: true, reservation_id, queue_code: probe, ...(limits_bypassed ? { limits_bypassed } : {}) });
   } catch (e) {
     console.error('/api/admin/reserve', e);
     // Send a little detail during testing; safe to remove later.
@@ -912,22 +2117,86 @@ app.post('/api/admin/reserve', async (req, res) => {
   }
 });
 
-app.post('/api/admin/update-reservation', async (req, res) => {
+// Office booking straight onto a slot (no hold, no limits). Shared by /api/admin/reserve
+// and the CSV import; returns the reservation id. f.phone is already normalized.
+function officeReserve(req, f) {
+  const {
+    site_id, date, slot_time, driver_name, license_plate, trucking_company, vendor_name,
+    farm_or_ticket, est_amount, est_unit, phone, probe
+  } = f;
+
+  // Single transaction: ensure slot exists -> insert reservation -> mark slot reserved.
+  const tx = db.transaction(() => {
+    // Ensure the time slot row exists so the update below will work.
+    db.prepare(`
+      INSERT OR IGNORE INTO time_slots (site_id, date, slot_time, is_workin)
+      VALUES (?, ?, ?, 0)
+    `).run(site_id, date, slot_time);
+
+    // Insert reservation (13 columns → 13 values).
+    const info = db.prepare(`
+      INSERT INTO slot_reservations
+        (site_id, date, slot_time,
+         driver_name, license_plate, trucking_company, vendor_name,
+         farm_or_ticket, est_amount, est_unit, driver_phone,
+         queue_code, status)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)
+      RETURNING id
+    `).get(
+      site_id, date, slot_time,
+      driver_name || null, license_plate || null, trucking_company || null, vendor_name || null,
+      farm_or_ticket || null, (est_amount ?? null),
+      (est_unit || 'BUSHELS').toUpperCase(),
+      phone,
+      probe, 'reserved'
+    );
+
+    // Mark slot reserved & clear any hold state.
+    db.prepare(`
+      UPDATE time_slots
+         SET reserved_truck_id = ?, reserved_at = CURRENT_TIMESTAMP,
+             hold_token = NULL, hold_expires_at = NULL
+       WHERE site_id = ? AND date = ? AND slot_time = ?
+    `).run(info.id, site_id, date, slot_time);
+    audit(req, 'create', null, getReservation(info.id), { reason: f.reason });
+
+    return info.id;
+  });
+
+  return tx();
+}
+
+// Body: reservation_id plus any of UPDATE_FIELDS; omitted fields keep their value
+const UPDATE_FIELDS = [
+  'driver_name', 'driver_phone', 'license_plate', 'trucking_company',
+  'vendor_name', 'farm_or_ticket', 'est_amount', 'est_unit'
+];
+app.post('/api/admin/update-reservation', requirePerm('reservations:manage'), async (req, res) => {
   try {
-    const { reservation_id, driver_name, driver_phone, license_plate,
-        trucking_company, vendor_name, farm_or_ticket, est_amount, est_unit, } = req.body || {};
+    const body = req.body || {};
+    const { reservation_id, driver_phone } = body;
     if (!reservation_id) return res.status(400).json({ error:'reservation_id required' });
 
     const row = db.prepare(`SELECT * FROM slot_reservations WHERE id=?`).get(reservation_id);
     if (!row) return res.status(404).json({ error:'reservation not found' });
+    if (row.status !== 'reserved') return res.status(409).json({ error:`reservation is ${row.status}` });
+
+    const fields = {};
+    for (const f of UPDATE_FIELDS) {
+      if (body[f] === undefined) continue;
+      fields[f] = f === 'driver_phone' ? normPhone(body[f])
+        : f === 'est_unit' ? String(body[f] || 'BUSHELS').toUpperCase()
+        : body[f];
+    }
+    const cols = Object.keys(fields);
+    if (!cols.length) return res.json({ ok:true });
 
-    db.prepare(`
-      UPDATE slot_reservations
-         SET driver_name=?, driver_phone=?, license_plate=?, trucking_company=?,
-             vendor_name=?, farm_or_ticket=?, est_amount=?, est_unit=?
-       WHERE id=?
-    `).run(driver_name, normPhone(driver_phone), license_plate, trucking_company,
-           vendor_name, farm_or_ticket, est_amount, (est_unit||'BUSHELS').toUpperCase(), reservation_id);
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE slot_reservations SET ${cols.map(c => `${c}=?`).join(', ')} WHERE id=?
+      `).run(...cols.map(c => fields[c]), reservation_id);
+      audit(req, 'update', row, getReservation(reservation_id), { reason: body.reason });
+    })();
 
     if (driver_phone) {
       const msg = `Cargill: Your ${row.date} ${row.slot_time} reservation has been updated. Probe code: ${row.queue_code||'N/A'}.`;
@@ -941,61 +2210,401 @@ app.post('/api/admin/update-reservation', async (req, res) => {
   }
 });
 
-// ------------------------- Enable / Disable Open Slots -----------------------
-app.post('/api/slots/disable', (req, res) => {
-  try {
-    const { site_id, date, slot_times = [] } = req.body || {};
-    if (!site_id || !date || !Array.isArray(slot_times) || slot_times.length === 0) {
-      return res.status(400).json({ ok:false, error: 'site_id, date, slot_times[] required' });
-    }
-    const q = slot_times.map(() => '?').join(',');
-    const info = db.prepare(`
-      UPDATE time_slots
-         SET disabled = 1
-       WHERE site_id = ? AND date = ? AND slot_time IN (${q})
-    `).run(site_id, date, ...slot_times);
+// ------------------------- Admin: reservation history -----------------------
+const auditOut = row => ({ ...row, changes: JSON.parse(row.changes) });
 
-    if (info.changes) emitSlotsChanged(site_id, date);
-    return res.json({ ok:true, updated: info.changes });
-  } catch (e) {
-    console.error('/api/slots/disable', e);
-    return res.status(500).json({ ok:false, error: 'server error' });
-  }
+// One reservation, oldest first; `current` is null once it has been cancelled
+app.get('/api/admin/reservations/:id/history', requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  const items = db.prepare(`SELECT * FROM reservation_audit WHERE reservation_id=? ORDER BY id`).all(id);
+  const current = getReservation(id) || null;
+  if (!items.length && !current) return res.status(404).json({ error:'reservation not found' });
+  res.json({ ok:true, reservation_id: id, current, items: items.map(auditOut) });
+});
+
+// Whole site/day. Query: site_id, date, action?
+app.get('/api/admin/audit', requireAdmin, withSite, (req, res) => {
+  const site_id = Number(req.query.site_id);
+  const date    = String(req.query.date || siteToday(site_id));
+  if (!site_id) return res.status(400).json({ error:'site_id required' });
+  if (!dateRe.test(date)) return res.status(400).json({ error:'date must be YYYY-MM-DD' });
+
+  const action = req.query.action ? String(req.query.action) : null;
+  const items = db.prepare(`
+    SELECT * FROM reservation_audit
+     WHERE site_id=? AND date=? AND (? IS NULL OR action=?)
+     ORDER BY id
+  `).all(site_id, date, action, action);
+  res.json({ ok:true, site_id, date, items: items.map(auditOut) });
 });
 
-app.post('/api/slots/enable', (req, res) => {
+// ------------------------- Appointments export / import ----------------------
+// Spreadsheet columns; the export headers are also accepted as import headers, so an
+// exported sheet (minus Status) can be edited and loaded into another day.
+const SHEET_COLUMNS = [
+  ['Date', 'date'], ['Slot', 'slot_time'], ['Driver', 'driver_name'], ['Phone', 'driver_phone'],
+  ['Plate', 'license_plate'], ['Carrier', 'trucking_company'], ['Vendor', 'vendor_name'],
+  ['Farm/Ticket', 'farm_or_ticket'], ['Estimate', 'est_amount'], ['Unit', 'est_unit'],
+  ['Status', 'status'], ['Code', 'queue_code']
+];
+const IMPORT_MAX_ROWS = 500;
+const headerKey = h => String(h || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const IMPORT_HEADERS = {
+  time: 'slot_time', slottime: 'slot_time', driver: 'driver_name', phone: 'driver_phone', mobile: 'driver_phone',
+  plate: 'license_plate', carrier: 'trucking_company', truckingcompany: 'trucking_company',
+  vendor: 'vendor_name', farmticket: 'farm_or_ticket', ticket: 'farm_or_ticket', estimate: 'est_amount',
+  unit: 'est_unit', code: 'queue_code', probecode: 'queue_code'
+};
+for (const [label, field] of SHEET_COLUMNS) {
+  if (field !== 'status') IMPORT_HEADERS[headerKey(label)] = IMPORT_HEADERS[headerKey(field)] = field;
+}
+
+// GET /api/appointments/export?site_id=1&from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv|xlsx
+// Every reservation in the range, any status (cancelled/no-show rows say so).
+app.get('/api/appointments/export', requirePerm('appointments:read'), withSite, (req, res) => {
   try {
-    const { site_id, date, slot_times = [] } = req.body || {};
-    if (!site_id || !date || !Array.isArray(slot_times) || slot_times.length === 0) {
-      return res.status(400).json({ ok:false, error: 'site_id, date, slot_times[] required' });
+    if (!req.site) return res.status(400).json({ error: 'site_id required' });
+    const from = String(req.query.from || req.query.date || siteToday(req.site));
+    const to   = String(req.query.to || from);
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!dateRe.test(from) || !dateRe.test(to) || to < from) {
+      return res.status(400).json({ error: 'from/to must be YYYY-MM-DD, from <= to' });
     }
-    const q = slot_times.map(() => '?').join(',');
-    const info = db.prepare(`
-      UPDATE time_slots
-         SET disabled = 0
-       WHERE site_id = ? AND date = ? AND slot_time IN (${q})
-    `).run(site_id, date, ...slot_times);
+    if (to > addDays(from, 366)) return res.status(400).json({ error: 'range is limited to a year' });
+    if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ error: 'format must be csv or xlsx' });
 
-    if (info.changes) emitSlotsChanged(site_id, date);
-    return res.json({ ok:true, updated: info.changes });
+    const rows = db.prepare(`
+      SELECT date, slot_time, driver_name, driver_phone, license_plate, trucking_company, vendor_name,
+             farm_or_ticket, est_amount, est_unit, status, queue_code
+        FROM slot_reservations
+       WHERE site_id=? AND date BETWEEN ? AND ?
+       ORDER BY date, time(slot_time), id
+    `).all(req.site.id, from, to);
+
+    const table = [SHEET_COLUMNS.map(([label]) => label), ...rows.map(r => SHEET_COLUMNS.map(([, f]) => r[f]))];
+    const name = `${req.site.short_code}-appointments-${from}${to !== from ? `_${to}` : ''}`;
+    if (format === 'xlsx') {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.attachment(`${name}.xlsx`);
+      return res.send(xlsxBuffer(table, `${req.site.short_code} ${from}`));
+    }
+    res.type('text/csv');
+    res.attachment(`${name}.csv`);
+    res.send(toCSV(table));
   } catch (e) {
-    console.error('/api/slots/enable', e);
-    return res.status(500).json({ ok:false, error: 'server error' });
+    console.error('/api/appointments/export', e);
+    res.status(500).json({ error: 'server error' });
   }
 });
 
-// ------------------------- Mass Cancel / Notify / Disable-Enable -------------
-app.post('/api/slots/mass-cancel', async (req, res) => {
-  try {
-    const { site_id, date, reservation_ids = [], slot_times = [], notify = false, reason = '' } = req.body || {};
-    if (!site_id || !date) return res.status(400).json({ error: 'site_id and date required' });
-
-    const getResById = db.prepare(`SELECT * FROM slot_reservations WHERE id=?`);
-    const freeSlot   = db.prepare(`
+// Checks parsed CSV rows against the site's open time_slots. Returns { items, errors }:
+// items ready for officeReserve, errors as [{ row, error }] (row = spreadsheet row number,
+// header is row 1). Synchronous, so the import runs it inside its write transaction.
+function checkImportRows(site, header, lines) {
+  const fields = header.map(h => IMPORT_HEADERS[headerKey(h)] || null);
+  const items = [], errors = [], seen = new Map();
+  const today = siteToday(site);
+  expireHolds();
+  const slotQ = db.prepare(`SELECT * FROM time_slots WHERE site_id=? AND date=? AND slot_time=?`);
+  const volumeLeft = new Map(); // date -> bushels left under the cap, as earlier rows use it
+
+  lines.forEach((cells, i) => {
+    const row = i + 2;
+    const f = {};
+    fields.forEach((k, c) => {
+      if (!k) return;
+      const v = String(cells[c] ?? '');
+      // Undo the export's ' guard on formula-like text so exported sheets load back as-is
+      f[k] = (v[0] === "'" && formulaStart.test(v.slice(1)) ? v.slice(1) : v).trim();
+    });
+    const fail = error => errors.push({ row, error });
+
+    if (!dateRe.test(f.date || '')) return fail('date must be YYYY-MM-DD');
+    if (/^\d:\d\d$/.test(f.slot_time || '')) f.slot_time = '0' + f.slot_time;
+    if (!hhmmRe.test(f.slot_time || '')) return fail('slot must be HH:MM');
+    if (f.date < today) return fail(`${f.date} is in the past`);
+    if (!f.driver_name && !f.license_plate && !f.trucking_company) {
+      return fail('need at least one of driver, plate, carrier');
+    }
+    const phone = f.driver_phone ? normPhone(f.driver_phone) : null;
+    if (f.driver_phone && !phone) return fail(`invalid phone ${f.driver_phone}`);
+    const amount = f.est_amount ? Number(f.est_amount.replace(/,/g, '')) : null;
+    if (amount !== null && !(amount >= 0)) return fail(`invalid estimate ${f.est_amount}`);
+    if (f.queue_code && !/^\d{4}$/.test(f.queue_code)) return fail('code must be 4 digits');
+
+    const key = `${f.date} ${f.slot_time}`;
+    if (seen.has(key)) return fail(`${key} is already used by row ${seen.get(key)}`);
+    seen.set(key, row);
+    const slot = slotQ.get(site.id, f.date, f.slot_time);
+    if (!slot) return fail(`no ${f.slot_time} slot on ${f.date} at ${site.short_code}`);
+    if (slot.disabled) return fail(`${key} is disabled`);
+    if (slot.reserved_truck_id) return fail(`${key} is already reserved`);
+    if (slot.hold_token) return fail(`${key} is being booked right now`);
+    if (!volumeLeft.has(f.date)) volumeLeft.set(f.date, dayCapacity(site.id, f.date)?.remaining_bushels ?? Infinity);
+    const bu = toBushels(amount, f.est_unit);
+    if (volumeLeft.get(f.date) <= 0 || bu > volumeLeft.get(f.date)) return fail(`${f.date} volume cap would be exceeded`);
+    volumeLeft.set(f.date, volumeLeft.get(f.date) - bu);
+
+    items.push({
+      row, site_id: site.id, date: f.date, slot_time: f.slot_time,
+      driver_name: f.driver_name, license_plate: f.license_plate, trucking_company: f.trucking_company,
+      vendor_name: f.vendor_name, farm_or_ticket: f.farm_or_ticket, est_amount: amount,
+      est_unit: f.est_unit, phone, probe: f.queue_code || fourDigit(), reason: 'csv import'
+    });
+  });
+  return { items, errors };
+}
+
+// POST /api/appointments/import?site_id=1[&dry_run=1][&notify=0]
+// Body: the CSV (Content-Type text/csv), or JSON { site_id, csv, dry_run, notify }.
+// Needs Date and Slot columns (see SHEET_COLUMNS / IMPORT_HEADERS for the rest).
+// Dry run reports every row's problems and books nothing; a real run books all rows
+// in one transaction or, if any row fails, none (422 with the same report).
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' });
+app.post('/api/appointments/import', requirePerm('reservations:manage'), csvBody, withSite, (req, res) => {
+  try {
+    if (!req.site) return res.status(400).json({ error: 'site_id required' });
+    const json = typeof req.body === 'object' && req.body ? req.body : {};
+    const text = typeof req.body === 'string' ? req.body : json.csv;
+    const flag = (v, dflt) => v === undefined || v === '' ? dflt : !['0', 'false', 'no'].includes(String(v).toLowerCase());
+    const dryRun = flag(req.query.dry_run ?? json.dry_run, false);
+    const notify = flag(req.query.notify ?? json.notify, true);
+
+    const [header, ...lines] = parseCSV(text);
+    if (!header) return res.status(400).json({ error: 'empty CSV' });
+    const known = header.map(h => IMPORT_HEADERS[headerKey(h)]);
+    if (!known.includes('date') || !known.includes('slot_time')) {
+      return res.status(400).json({ error: 'CSV needs Date and Slot columns' });
+    }
+    if (!lines.length) return res.status(400).json({ error: 'no rows to import' });
+    if (lines.length > IMPORT_MAX_ROWS) return res.status(400).json({ error: `at most ${IMPORT_MAX_ROWS} rows per import` });
+    const ignored_columns = header.filter((h, i) => !known[i] && h.trim());
+
+    const report = ({ items, errors }) => ({
+      dry_run: dryRun, site_id: req.site.id, total: lines.length, valid: items.length, errors, ignored_columns
+    });
+
+    if (dryRun) {
+      const checked = checkImportRows(req.site, header, lines);
+      return res.json({ ok: !checked.errors.length, ...report(checked) });
+    }
+
+    // Check and book in one go so nothing can take a slot in between
+    const checked = db.transaction(() => {
+      const c = checkImportRows(req.site, header, lines);
+      if (c.errors.length) return c;
+      for (const it of c.items) {
+        it.reservation_id = officeReserve(req, it);
+        if (notify && it.phone) {
+          queueSMS(it.phone, `Cargill: Reserved ${it.date} at ${it.slot_time}. Probe code: ${it.probe}. ` +
+                             `Add to calendar: ${calendarUrl(it.reservation_id)} Reply STOP to opt out.`);
+        }
+      }
+      return c;
+    })();
+    if (checked.errors.length) return res.status(422).json({ error: 'nothing imported: fix the rows below', ...report(checked) });
+
+    for (const d of new Set(checked.items.map(it => it.date))) emitSlotsChanged(req.site.id, d);
+    res.json({
+      ok: true, ...report(checked), imported: checked.items.length,
+      items: checked.items.map(it => ({
+        row: it.row, reservation_id: it.reservation_id, date: it.date, slot_time: it.slot_time, queue_code: it.probe
+      }))
+    });
+  } catch (e) {
+    console.error('/api/appointments/import', e);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+// ------------------------- Calendar (iCal) -----------------------------------
+// Two kinds of link, both usable without a session because calendar apps can't sign in:
+//  - /cal/r/<calendar_token>.ics   one reservation, for the driver (token made on first use)
+//  - /cal/site/<feed token>.ics    a site's reservations, for admins to subscribe to; feed
+//    tokens are created/revoked under /api/admin/calendar-feeds and stored hashed.
+// Events keep UID resv-<id> so re-fetches update in place; ended reservations
+// come through as STATUS:CANCELLED so subscribed calendars drop them.
+
+function calendarUrl(reservation_id) {
+  let { calendar_token } = db.prepare(`SELECT calendar_token FROM slot_reservations WHERE id=?`).get(reservation_id) || {};
+  if (!calendar_token) {
+    calendar_token = crypto.randomBytes(18).toString('base64url');
+    db.prepare(`UPDATE slot_reservations SET calendar_token=? WHERE id=? AND calendar_token IS NULL`)
+      .run(calendar_token, reservation_id);
+    calendar_token = db.prepare(`SELECT calendar_token FROM slot_reservations WHERE id=?`).get(reservation_id).calendar_token;
+  }
+  return `${PUBLIC_URL}/cal/r/${calendar_token}.ics`;
+}
+
+function reservationEvent(r, site, { forFacility = false } = {}) {
+  const start = siteTimeToUtc(r.date, r.slot_time, site.timezone);
+  const lastChange = db.prepare(`
+    SELECT COUNT(*) AS n, MAX(at) AS at FROM reservation_audit WHERE reservation_id=?
+  `).get(r.id);
+  const amount = r.est_amount ? `${r.est_amount} ${String(r.est_unit || 'BUSHELS').toLowerCase()}` : null;
+  const description = forFacility
+    ? [
+        `Probe code: ${r.queue_code || '—'}`,
+        r.driver_name && `Driver: ${r.driver_name}`, r.driver_phone && `Phone: ${r.driver_phone}`,
+        r.license_plate && `Plate: ${r.license_plate}`, r.trucking_company && `Carrier: ${r.trucking_company}`,
+        r.vendor_name && `Vendor: ${r.vendor_name}`, r.farm_or_ticket && `Farm/Ticket: ${r.farm_or_ticket}`,
+        amount && `Estimate: ${amount}`, r.status !== 'reserved' && `Status: ${r.status.replace(/_/g, ' ')}`
+      ]
+    : [
+        `Probe code: ${r.queue_code || '—'} (give it at the probe/scale)`,
+        `Manage or cancel: ${PUBLIC_URL}/driver-manage.html`,
+        site.facility_phone && `Facility: ${site.facility_phone}`
+      ];
+  return {
+    uid: `resv-${r.id}@${new URL(PUBLIC_URL).host}`,
+    start, end: new Date(start.getTime() + CAL_EVENT_MIN * 60000),
+    summary: forFacility
+      ? `${r.slot_time} ${r.driver_name || r.license_plate || 'Reservation'}${r.trucking_company ? ` (${r.trucking_company})` : ''}`
+      : `Cargill ${site.short_code} delivery — code ${r.queue_code || ''}`.trim(),
+    location: `Cargill ${site.name}`,
+    description: description.filter(Boolean).join('\n'),
+    url: forFacility ? null : `${PUBLIC_URL}/driver-manage.html`,
+    status: r.status === 'reserved' || r.status === 'completed' ? 'CONFIRMED' : 'CANCELLED',
+    sequence: lastChange.n,
+    updated: lastChange.at ? utcDate(lastChange.at) : null
+  };
+}
+
+app.get('/cal/r/:token.ics', (req, res) => {
+  try {
+    const r = db.prepare(`SELECT * FROM slot_reservations WHERE calendar_token=?`).get(req.params.token);
+    if (!r) return res.status(404).type('text/plain').send('calendar link not found');
+    const site = getSite(r.site_id);
+    res.type('text/calendar; charset=utf-8');
+    res.attachment(`cargill-${site.short_code}-${r.date}.ics`);
+    res.send(icsCalendar({ events: [reservationEvent(r, site)] }));
+  } catch (e) {
+    console.error('/cal/r/:token.ics', e);
+    res.status(500).type('text/plain').send('server error');
+  }
+});
+
+app.get('/cal/site/:token.ics', (req, res) => {
+  try {
+    const feed = db.prepare(`
+      SELECT * FROM calendar_feeds WHERE token_hash=? AND revoked_at IS NULL
+    `).get(hashToken(req.params.token));
+    if (!feed) return res.status(404).type('text/plain').send('calendar feed not found');
+    const site = getSite(feed.site_id);
+    db.prepare(`UPDATE calendar_feeds SET last_used_at=CURRENT_TIMESTAMP WHERE id=?`).run(feed.id);
+
+    const today = siteToday(site);
+    const rows = db.prepare(`
+      SELECT * FROM slot_reservations
+       WHERE site_id=? AND date BETWEEN ? AND ?
+       ORDER BY date, time(slot_time)
+    `).all(site.id, addDays(today, -CAL_FEED_PAST_DAYS), addDays(today, CAL_FEED_DAYS));
+    res.type('text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-cache');
+    res.send(icsCalendar({
+      name: `Cargill ${site.short_code} appointments`, timezone: site.timezone, refreshMin: 15,
+      events: rows.map(r => reservationEvent(r, site, { forFacility: true }))
+    }));
+  } catch (e) {
+    console.error('/cal/site/:token.ics', e);
+    res.status(500).type('text/plain').send('server error');
+  }
+});
+
+// GET /api/admin/calendar-feeds — live feeds (the URL is only shown when created)
+app.get('/api/admin/calendar-feeds', requireAdmin, (req, res) => {
+  const items = db.prepare(`
+    SELECT id, site_id, label, created_by, created_at, last_used_at FROM calendar_feeds
+     WHERE revoked_at IS NULL ORDER BY id DESC
+  `).all();
+  res.json({ ok: true, items });
+});
+
+// POST /api/admin/calendar-feeds  Body: { site_id, label? } -> { url } to paste into Outlook/Google
+app.post('/api/admin/calendar-feeds', requireAdmin, withSite, (req, res) => {
+  try {
+    if (!req.site) return res.status(400).json({ error: 'site_id required' });
+    const label = String(req.body?.label || '').trim().slice(0, 60) || null;
+    const token = crypto.randomBytes(24).toString('base64url');
+    const { id } = db.prepare(`
+      INSERT INTO calendar_feeds (site_id, token_hash, label, created_by) VALUES (?, ?, ?, ?) RETURNING id
+    `).get(req.site.id, hashToken(token), label, getSession(req).phone);
+    res.status(201).json({ ok: true, id, site_id: req.site.id, label, url: `${PUBLIC_URL}/cal/site/${token}.ics` });
+  } catch (e) {
+    console.error('/api/admin/calendar-feeds POST', e);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+app.delete('/api/admin/calendar-feeds/:id', requireAdmin, (req, res) => {
+  const info = db.prepare(`
+    UPDATE calendar_feeds SET revoked_at=CURRENT_TIMESTAMP WHERE id=? AND revoked_at IS NULL
+  `).run(Number(req.params.id));
+  if (!info.changes) return res.status(404).json({ error: 'feed not found' });
+  res.json({ ok: true });
+});
+
+// ------------------------- Enable / Disable Open Slots -----------------------
+app.post('/api/slots/disable', requirePerm('slots:manage'), withSite, (req, res) => {
+  try {
+    const { site_id, date, slot_times = [] } = req.body || {};
+    if (!site_id || !date || !Array.isArray(slot_times) || slot_times.length === 0) {
+      return res.status(400).json({ ok:false, error: 'site_id, date, slot_times[] required' });
+    }
+    const q = slot_times.map(() => '?').join(',');
+    const info = db.prepare(`
       UPDATE time_slots
-         SET reserved_truck_id=NULL, reserved_at=NULL
-       WHERE site_id=? AND date=? AND slot_time=? AND reserved_truck_id=?`);
-    const delRes     = db.prepare(`DELETE FROM slot_reservations WHERE id=?`);
+         SET disabled = 1
+       WHERE site_id = ? AND date = ? AND slot_time IN (${q})
+    `).run(site_id, date, ...slot_times);
+
+    if (info.changes) {
+      publishEvent('slot.disabled', { site_id, date, slot_times });
+      emitSlotsChanged(site_id, date);
+    }
+    return res.json({ ok:true, updated: info.changes });
+  } catch (e) {
+    console.error('/api/slots/disable', e);
+    return res.status(500).json({ ok:false, error: 'server error' });
+  }
+});
+
+app.post('/api/slots/enable', requirePerm('slots:manage'), withSite, (req, res) => {
+  try {
+    const { site_id, date, slot_times = [] } = req.body || {};
+    if (!site_id || !date || !Array.isArray(slot_times) || slot_times.length === 0) {
+      return res.status(400).json({ ok:false, error: 'site_id, date, slot_times[] required' });
+    }
+    const q = slot_times.map(() => '?').join(',');
+    const info = db.prepare(`
+      UPDATE time_slots
+         SET disabled = 0
+       WHERE site_id = ? AND date = ? AND slot_time IN (${q})
+    `).run(site_id, date, ...slot_times);
+
+    if (info.changes) {
+      publishEvent('slot.enabled', { site_id, date, slot_times });
+      emitSlotsChanged(site_id, date);
+    }
+    return res.json({ ok:true, updated: info.changes });
+  } catch (e) {
+    console.error('/api/slots/enable', e);
+    return res.status(500).json({ ok:false, error: 'server error' });
+  }
+});
+
+// ------------------------- Mass Cancel / Notify / Disable-Enable -------------
+// Groups a mass operation's texts so progress can be followed at /api/admin/sms/jobs/:id
+const createSmsJob = (req, kind, site_id, date) => db.prepare(`
+  INSERT INTO sms_jobs (kind, site_id, date, created_by) VALUES (?, ?, ?, ?) RETURNING id
+`).get(kind, Number(site_id), date, getSession(req)?.phone || null).id;
+
+app.post('/api/slots/mass-cancel', requirePerm('reservations:manage'), withSite, async (req, res) => {
+  try {
+    const { site_id, date, reservation_ids = [], slot_times = [], notify = false, reason = '' } = req.body || {};
+    if (!site_id || !date) return res.status(400).json({ error: 'site_id and date required' });
+
+    const getResById = db.prepare(`SELECT * FROM slot_reservations WHERE id=?`);
     const delOpen    = db.prepare(`
       DELETE FROM time_slots
        WHERE site_id=? AND date=? AND slot_time=? AND reserved_truck_id IS NULL
@@ -1009,9 +2618,8 @@ app.post('/api/slots/mass-cancel', async (req, res) => {
       for (const id of (Array.isArray(reservation_ids)?reservation_ids:[])) {
         if (!Number.isInteger(id)) continue;
         const r = getResById.get(id);
-        if (!r) continue;
-        freeSlot.run(r.site_id, r.date, r.slot_time, r.id);
-        delRes.run(id);
+        if (!r || r.status !== 'reserved') continue;
+        endReservation(r, req, 'canceled_by_facility', { reason: reason || 'mass cancel' });
         affectedReservations.push({ id, site_id: r.site_id, date: r.date, slot_time: r.slot_time, driver_phone: r.driver_phone || null });
         if (notify && r.driver_phone) phones.push(r.driver_phone);
       }
@@ -1027,19 +2635,20 @@ app.post('/api/slots/mass-cancel', async (req, res) => {
 
     if (affectedReservations.length || removedOpenSlots.length) emitSlotsChanged(site_id, date);
 
-    let notified = 0;
+    // Texts go through the outbox; the response doesn't wait for them (see job_id)
+    let job_id = null;
     if (notify && phones.length) {
-      const msg = `Cargill: Appointment${phones.length>1?'s':''} on ${date} (${site_id===1?'EAST':'WEST'}) cancelled${reason?`: ${reason}`:''}.`;
-      for (const to of phones) {
-        try { const s = await sendSMS(to, msg); if (s.sent) notified++; } catch (_) {}
-      }
+      const msg = `Cargill: Appointment${phones.length>1?'s':''} on ${date} (${siteLabel(site_id)}) cancelled${reason?`: ${reason}`:''}.`;
+      job_id = createSmsJob(req, 'mass-cancel', site_id, date);
+      for (const to of phones) await sendSMS(to, msg, { job_id });
     }
 
     return res.json({
       ok: true,
       canceled: affectedReservations.length,
       removed_open: removedOpenSlots.length,
-      notified,
+      queued: job_id ? phones.length : 0,
+      job_id,
       details: { reservations: affectedReservations, open_slots: removedOpenSlots }
     });
   } catch (e) {
@@ -1048,7 +2657,7 @@ app.post('/api/slots/mass-cancel', async (req, res) => {
   }
 });
 
-app.post('/api/slots/mass-notify', async (req, res) => {
+app.post('/api/slots/mass-notify', requirePerm('reservations:manage'), withSite, async (req, res) => {
   try {
     const { site_id, date, reservation_ids = [], message } = req.body || {};
     if (!site_id || !date || !Array.isArray(reservation_ids) || !reservation_ids.length || !message) {
@@ -1059,20 +2668,489 @@ app.post('/api/slots/mass-notify', async (req, res) => {
       SELECT driver_phone
         FROM slot_reservations
        WHERE site_id=? AND date=? AND id IN (${qMarks})
-         AND driver_phone IS NOT NULL
+         AND status='reserved' AND driver_phone IS NOT NULL
     `).all(site_id, date, ...reservation_ids);
 
-    let sent = 0;
-    for (const r of rows) {
-      try { const s = await sendSMS(r.driver_phone, message); if (s.sent) sent++; } catch (_) {}
-    }
-    return res.json({ ok: true, targeted: rows.length, sent });
+    const job_id = rows.length ? createSmsJob(req, 'mass-notify', site_id, date) : null;
+    for (const r of rows) await sendSMS(r.driver_phone, message, { job_id });
+    return res.json({ ok: true, targeted: rows.length, queued: rows.length, job_id });
   } catch (e) {
     console.error('SQL error in /api/slots/mass-notify:', e);
     return res.status(500).json({ error: 'server error' });
   }
 });
 
+// ------------------------- Admin: SMS outbox ---------------------------------
+// What was sent to whom, what failed, and resend. Filters: status, phone, job_id.
+app.get('/api/admin/sms', requireAdmin, (req, res) => {
+  const where = [], args = [];
+  if (req.query.status) { where.push('status=?'); args.push(String(req.query.status)); }
+  if (req.query.phone) {
+    const p = normPhone(req.query.phone);
+    if (!p) return res.status(400).json({ error: 'invalid phone' });
+    where.push('to_phone=?'); args.push(p);
+  }
+  if (req.query.job_id) { where.push('job_id=?'); args.push(Number(req.query.job_id)); }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+
+  const rows = db.prepare(`
+    SELECT * FROM sms_outbox ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+     ORDER BY id DESC LIMIT ?
+  `).all(...args, limit);
+  res.json({ ok: true, items: rows });
+});
+
+app.get('/api/admin/sms/jobs/:id', requireAdmin, (req, res) => {
+  const job = db.prepare(`SELECT * FROM sms_jobs WHERE id=?`).get(Number(req.params.id));
+  if (!job) return res.status(404).json({ error: 'not found' });
+  const counts = {};
+  for (const r of db.prepare(`SELECT status, COUNT(*) AS n FROM sms_outbox WHERE job_id=? GROUP BY status`).all(job.id)) {
+    counts[r.status] = r.n;
+  }
+  const total = Object.values(counts).reduce((a, n) => a + n, 0);
+  const pending = (counts.queued || 0) + (counts.sending || 0);
+  const failed = db.prepare(`
+    SELECT * FROM sms_outbox WHERE job_id=? AND status IN ('failed','undelivered') ORDER BY id
+  `).all(job.id);
+  res.json({ ok: true, job: { ...job, total, counts, done: pending === 0 }, failed });
+});
+
+app.get('/api/admin/sms/:id', requireAdmin, (req, res) => {
+  const m = db.prepare(`SELECT * FROM sms_outbox WHERE id=?`).get(Number(req.params.id));
+  if (!m) return res.status(404).json({ error: 'not found' });
+  const events = db.prepare(`SELECT * FROM sms_status_events WHERE outbox_id=? ORDER BY id`).all(m.id);
+  res.json({ ok: true, message: m, events });
+});
+
+// Queues a fresh copy (the original row keeps its history)
+app.post('/api/admin/sms/:id/resend', requireAdmin, async (req, res) => {
+  try {
+    const m = db.prepare(`SELECT * FROM sms_outbox WHERE id=?`).get(Number(req.params.id));
+    if (!m) return res.status(404).json({ error: 'not found' });
+    const out = await sendSMS(m.to_phone, m.body, { job_id: m.job_id, priority: m.priority });
+    if (out.error) return res.status(500).json({ error: out.error });
+    db.prepare(`UPDATE sms_outbox SET resend_of=? WHERE id=?`).run(m.id, out.id);
+    if (out.opted_out) return res.status(409).json({ error: 'recipient has opted out (STOP)', id: out.id });
+    res.json({ ok: true, id: out.id, resend_of: m.id });
+  } catch (e) {
+    console.error('/api/admin/sms/:id/resend', e);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+// ------------------------- Appointment reminders -----------------------------
+// Per-site rules: evening_before goes out at send_time the day before the slot,
+// before_slot goes out minutes_before it. The sweep marks reminders_sent in the same
+// transaction that queues the outbox row, so a restart never sends one twice.
+// A booking made after a reminder's moment skips it (the confirmation covers that).
+const REMINDER_KINDS = ['evening_before', 'before_slot'];
+const REMINDER_VARS  = ['name', 'date', 'time', 'site', 'code', 'link', 'facility_phone'];
+// New sites start with these (migration 011 seeded the same for existing sites)
+const DEFAULT_REMINDER_RULES = [
+  { kind: 'evening_before', send_time: '18:00', minutes_before: null,
+    template: 'Cargill: Reminder, you are booked tomorrow {date} at {time} ({site}). Probe code: {code}. ' +
+              'Reply CONFIRM or CANCEL, or manage: {link}' },
+  { kind: 'before_slot', send_time: null, minutes_before: 60,
+    template: 'Cargill: Your {site} appointment is at {time} today. Probe code: {code}. Manage: {link}' }
+];
+
+function renderReminder(template, r) {
+  const site = getSite(r.site_id);
+  const vars = {
+    name: r.driver_name || 'driver', date: r.date, time: r.slot_time,
+    site: site?.short_code || `SITE ${r.site_id}`, code: r.queue_code || '',
+    link: `${PUBLIC_URL}/driver-manage.html`, facility_phone: site?.facility_phone || ''
+  };
+  return template.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+// [due, until): the reminder may go out from `due` until the slot (or, for
+// evening_before, until the slot's day starts — a morning-of text isn't "the evening before")
+function reminderWindow(rule, r, tz = siteTz(r.site_id)) {
+  const slot = siteTimeToUtc(r.date, r.slot_time, tz);
+  if (rule.kind === 'before_slot') return [new Date(slot - rule.minutes_before * 60000), slot];
+  return [siteTimeToUtc(addDays(r.date, -1), rule.send_time, tz), siteTimeToUtc(r.date, '00:00', tz)];
+}
+
+function sendDueReminders(now = new Date()) {
+  const rules = db.prepare(`
+    SELECT rr.*, s.timezone FROM reminder_rules rr JOIN sites s ON s.id=rr.site_id
+     WHERE rr.enabled=1 AND s.active=1
+  `).all();
+  const candidates = db.prepare(`
+    SELECT * FROM slot_reservations r
+     WHERE r.site_id=? AND r.status='reserved' AND r.driver_phone IS NOT NULL
+       AND r.date BETWEEN date('now','-1 day') AND date('now','+2 days')
+       AND NOT EXISTS (SELECT 1 FROM sms_opt_outs o WHERE o.phone=r.driver_phone)
+       AND NOT EXISTS (SELECT 1 FROM reminders_sent x
+                        WHERE x.reservation_id=r.id AND x.rule_id=? AND x.date=r.date AND x.slot_time=r.slot_time)
+  `);
+  const mark = db.prepare(`
+    INSERT OR IGNORE INTO reminders_sent (reservation_id, rule_id, date, slot_time) VALUES (?, ?, ?, ?)
+  `);
+  const linkOutbox = db.prepare(`
+    UPDATE reminders_sent SET outbox_id=? WHERE reservation_id=? AND rule_id=? AND date=? AND slot_time=?
+  `);
+
+  let queued = 0;
+  for (const rule of rules) {
+    for (const r of candidates.all(rule.site_id, rule.id)) {
+      const [due, until] = reminderWindow(rule, r, siteTz(rule));
+      if (now < due || now >= until) continue;
+      if (utcDate(r.created_at) > due) continue;
+      db.transaction(() => {
+        if (!mark.run(r.id, rule.id, r.date, r.slot_time).changes) return;
+        const out = queueSMS(r.driver_phone, renderReminder(rule.template, r));
+        linkOutbox.run(out.id, r.id, rule.id, r.date, r.slot_time);
+        queued++;
+      })();
+    }
+  }
+  if (queued) console.log(`Reminders: queued ${queued}`);
+  return queued;
+}
+setInterval(() => {
+  try { sendDueReminders(); } catch (e) { console.error('reminder sweep', e); }
+}, REMINDER_SWEEP_SEC * 1000).unref();
+
+// Validates a whole rule (PUT merges the stored rule with the body first)
+function parseReminderRule(body) {
+  const f = {};
+  f.kind = String(body.kind || '');
+  if (!REMINDER_KINDS.includes(f.kind)) return { error: `kind must be ${REMINDER_KINDS.join(' or ')}` };
+  if (f.kind === 'evening_before') {
+    f.send_time = String(body.send_time || '').trim();
+    if (!hhmmRe.test(f.send_time)) return { error: 'send_time must be HH:MM' };
+    f.minutes_before = null;
+  } else {
+    f.minutes_before = Number(body.minutes_before);
+    if (!Number.isInteger(f.minutes_before) || f.minutes_before < 5 || f.minutes_before > 1440) {
+      return { error: 'minutes_before must be 5-1440' };
+    }
+    f.send_time = null;
+  }
+  f.template = String(body.template || '').trim();
+  if (!f.template) return { error: 'template required' };
+  if (f.template.length > 480) return { error: 'template too long (480 max)' };
+  const unknown = [...f.template.matchAll(/\{(\w+)\}/g)].map(m => m[1]).filter(k => !REMINDER_VARS.includes(k));
+  if (unknown.length) return { error: `unknown placeholder {${unknown[0]}}; use ${REMINDER_VARS.map(v => `{${v}}`).join(' ')}` };
+  f.enabled = body.enabled === undefined || body.enabled ? 1 : 0;
+  return { fields: f };
+}
+
+// Rules come back with a sample rendering so the editor can show the text as sent
+const reminderOut = (row, site) => row && {
+  ...row,
+  preview: renderReminder(row.template, {
+    site_id: site.id, date: siteToday(site), slot_time: '08:00', driver_name: 'Sam', queue_code: '1234'
+  })
+};
+const getReminderRule = (site_id, id) =>
+  db.prepare(`SELECT * FROM reminder_rules WHERE id=? AND site_id=?`).get(Number(id), site_id);
+
+app.get('/api/sites/:id/reminders', requirePerm('schedule:manage'), withSite, (req, res) => {
+  const rows = db.prepare(`SELECT * FROM reminder_rules WHERE site_id=? ORDER BY kind, id`).all(req.site.id);
+  res.json({ ok:true, vars: REMINDER_VARS, items: rows.map(r => reminderOut(r, req.site)) });
+});
+
+// CREATE rule. Body: { kind, send_time | minutes_before, template, enabled? }
+app.post('/api/sites/:id/reminders', requirePerm('schedule:manage'), withSite, (req, res) => {
+  try {
+    const { fields, error } = parseReminderRule(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const cols = Object.keys(fields);
+    const row = db.prepare(`
+      INSERT INTO reminder_rules (site_id, ${cols.join(', ')}) VALUES (?, ${cols.map(() => '?').join(', ')})
+      RETURNING *
+    `).get(req.site.id, ...cols.map(c => fields[c]));
+    return res.status(201).json({ ok:true, rule: reminderOut(row, req.site) });
+  } catch (e) {
+    console.error('/api/sites/:id/reminders POST', e);
+    return res.status(500).json({ error:'server error' });
+  }
+});
+
+// UPDATE rule; any subset (e.g. { enabled: false } to switch it off)
+app.put('/api/sites/:id/reminders/:rid', requirePerm('schedule:manage'), withSite, (req, res) => {
+  try {
+    const cur = getReminderRule(req.site.id, req.params.rid);
+    if (!cur) return res.status(404).json({ error: 'reminder not found' });
+    const { fields, error } = parseReminderRule({ ...cur, ...(req.body || {}) });
+    if (error) return res.status(400).json({ error });
+    const cols = Object.keys(fields);
+    const row = db.prepare(`
+      UPDATE reminder_rules SET ${cols.map(c => `${c}=?`).join(', ')}, updated_at=CURRENT_TIMESTAMP
+       WHERE id=? RETURNING *
+    `).get(...cols.map(c => fields[c]), cur.id);
+    return res.json({ ok:true, rule: reminderOut(row, req.site) });
+  } catch (e) {
+    console.error('/api/sites/:id/reminders PUT', e);
+    return res.status(500).json({ error:'server error' });
+  }
+});
+
+app.delete('/api/sites/:id/reminders/:rid', requirePerm('schedule:manage'), withSite, (req, res) => {
+  const info = db.prepare(`DELETE FROM reminder_rules WHERE id=? AND site_id=?`).run(Number(req.params.rid), req.site.id);
+  if (!info.changes) return res.status(404).json({ error: 'reminder not found' });
+  res.json({ ok:true });
+});
+
+// ------------------------- Waitlist ------------------------------------------
+// Entries: WAITING -> OFFERED -> BOOKED, or EXPIRED / DECLINED / LEFT.
+// Whenever slots change for a site/day, waiting drivers (oldest first) are offered the
+// earliest open slot inside their window: the slot is held under the offer token and
+// the driver gets an SMS link. Unanswered offers expire and the slot moves on.
+const WAITLIST_ACTIVE = `status IN ('WAITING','OFFERED')`;
+const WAITLIST_FIELDS = [
+  'driver_name', 'license_plate', 'trucking_company', 'vendor_name',
+  'farm_or_ticket', 'est_amount', 'est_unit'
+];
+
+const waitlistPosition = e => db.prepare(`
+  SELECT COUNT(*) AS n FROM waitlist_entries
+   WHERE site_id=? AND date=? AND status='WAITING' AND id <= ?
+`).get(e.site_id, e.date, e.id).n;
+
+function expireOffers() {
+  const stale = db.prepare(`
+    UPDATE waitlist_entries SET status='EXPIRED', updated_at=CURRENT_TIMESTAMP
+     WHERE status='OFFERED' AND offer_expires_at <= CURRENT_TIMESTAMP
+     RETURNING site_id, date, offer_token
+  `).all();
+  // releaseHold emits slots-changed (-> next offer); if expireHolds already
+  // cleared the hold, kick the offer round directly
+  for (const e of stale) if (!releaseHold(e.offer_token)) scheduleOffers(e.site_id, e.date);
+}
+
+function offerFreedSlots(site_id, date) {
+  expireHolds();
+  const waiting = db.prepare(`
+    SELECT * FROM waitlist_entries WHERE site_id=? AND date=? AND status='WAITING' ORDER BY id
+  `).all(site_id, date);
+  if (!waiting.length) return;
+
+  const site = getSite(site_id);
+  let open = db.prepare(`
+    SELECT id, slot_time FROM time_slots
+     WHERE site_id=? AND date=? AND is_workin=0
+       AND (disabled IS NULL OR disabled=0)
+       AND reserved_truck_id IS NULL AND hold_token IS NULL
+     ORDER BY time(slot_time)
+  `).all(site_id, date).filter(t => slotBookable(site, date, t.slot_time));
+
+  const claim = db.prepare(`
+    UPDATE time_slots SET hold_token=?, hold_expires_at=datetime('now', ?)
+     WHERE id=? AND hold_token IS NULL AND reserved_truck_id IS NULL
+  `);
+  const markOffered = db.prepare(`
+    UPDATE waitlist_entries
+       SET status='OFFERED', offer_token=?, offer_slot_time=?, offered_at=CURRENT_TIMESTAMP,
+           offer_expires_at=datetime('now', ?), updated_at=CURRENT_TIMESTAMP
+     WHERE id=? AND status='WAITING'
+  `);
+
+  const offers = [];
+  for (const e of waiting) {
+    // Banned / paused / over-limit drivers stay in line but aren't offered a hold
+    if (bookingBlock(e.driver_phone)) continue;
+    const slot = open.find(t =>
+      (!e.earliest_time || t.slot_time >= e.earliest_time) &&
+      (!e.latest_time   || t.slot_time <= e.latest_time) &&
+      !bookingLimitError(site, {
+        date, slot_time: t.slot_time, phone: e.driver_phone, carrier: e.trucking_company, driver: true
+      }));
+    if (!slot) continue;
+
+    const token = crypto.randomUUID();
+    const ttl = `+${WAITLIST_OFFER_MIN} minutes`;
+    const ok = db.transaction(() => {
+      if (!claim.run(token, ttl, slot.id).changes) return false;
+      return markOffered.run(token, slot.slot_time, ttl, e.id).changes > 0;
+    })();
+    open = open.filter(t => t.id !== slot.id);
+    if (ok) offers.push({ ...e, token, slot_time: slot.slot_time });
+  }
+  if (!offers.length) return;
+
+  for (const o of offers) publishEvent('hold.created', { site_id, date, slot_time: o.slot_time, reason: 'waitlist_offer' });
+  emitSlotsChanged(site_id, date);
+  for (const o of offers) {
+    sendSMS(o.driver_phone,
+      `Cargill: A ${date} ${o.slot_time} (${siteLabel(site_id)}) slot opened up for you. ` +
+      `Accept within ${WAITLIST_OFFER_MIN} min: ${PUBLIC_URL}/waitlist-accept.html?t=${o.token}`,
+      { priority: 5 }
+    ).catch(e => console.error('waitlist SMS', e));
+  }
+}
+
+// Coalesce bursts (mass-cancel, publish) into one offer round per site/day
+const pendingOffers = new Set();
+function scheduleOffers(site_id, date) {
+  const key = `${site_id}|${date}`;
+  if (pendingOffers.has(key)) return;
+  pendingOffers.add(key);
+  setImmediate(() => {
+    pendingOffers.delete(key);
+    try { offerFreedSlots(Number(site_id), date); } catch (e) { console.error('waitlist offer', e); }
+  });
+}
+bus.on('slots-changed', ({ site_id, date }) => scheduleOffers(site_id, date));
+setInterval(() => {
+  try { expireOffers(); } catch (e) { console.error('waitlist sweep', e); }
+}, 30000).unref();
+
+// JOIN. Body: { site_id, date, earliest_time?, latest_time?, driver_name, license_plate,
+//   trucking_company, vendor_name, farm_or_ticket, est_amount, est_unit, driver_phone? }
+// Drivers join as themselves; probe/admin may add a driver by driver_phone.
+app.post('/api/waitlist', requirePerm('slots:book'), withActiveSite, (req, res) => {
+  try {
+    const body = req.body || {};
+    const s = getSession(req);
+    const site_id = Number(body.site_id);
+    const date = String(body.date || '').trim();
+    const phone = s.role === 'driver' ? s.phone : normPhone(body.driver_phone);
+    const earliest = body.earliest_time ? String(body.earliest_time).trim() : null;
+    const latest   = body.latest_time   ? String(body.latest_time).trim()   : null;
+
+    if (!site_id || !date) return res.status(400).json({ error: 'site_id and date required' });
+    if (!dateRe.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    if (date < siteToday(site_id)) return res.status(400).json({ error: 'date is in the past' });
+    if (!phone) return res.status(400).json({ error: 'valid driver_phone required' });
+    const blocked = s.role !== 'admin' && bookingBlock(phone);
+    if (blocked) return res.status(403).json(blocked);
+    if ((earliest && !hhmmRe.test(earliest)) || (latest && !hhmmRe.test(latest))) {
+      return res.status(400).json({ error: 'earliest/latest must be HH:MM' });
+    }
+    if (earliest && latest && latest < earliest) {
+      return res.status(400).json({ error: 'latest must be after earliest' });
+    }
+
+    const existing = db.prepare(`
+      SELECT * FROM waitlist_entries WHERE site_id=? AND date=? AND driver_phone=? AND ${WAITLIST_ACTIVE}
+    `).get(site_id, date, phone);
+    if (existing) {
+      return res.status(409).json({ error: 'already on the waitlist for that day', entry: existing });
+    }
+
+    const entry = db.prepare(`
+      INSERT INTO waitlist_entries
+        (site_id, date, driver_phone, earliest_time, latest_time, ${WAITLIST_FIELDS.join(', ')})
+      VALUES (?, ?, ?, ?, ?, ${WAITLIST_FIELDS.map(() => '?').join(', ')})
+      RETURNING *
+    `).get(
+      site_id, date, phone, earliest, latest,
+      ...WAITLIST_FIELDS.map(f => f === 'est_unit'
+        ? String(body.est_unit || 'BUSHELS').toUpperCase()
+        : (body[f] ?? null) || null)
+    );
+
+    scheduleOffers(site_id, date); // a slot may already be free
+    res.status(201).json({ ok: true, entry, position: waitlistPosition(entry) });
+  } catch (e) {
+    console.error('/api/waitlist', e);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+// Signed-in driver: their open waitlist entries
+app.get('/api/waitlist/mine', requireSession, (req, res) => {
+  const rows = db.prepare(`
+    SELECT * FROM waitlist_entries WHERE driver_phone=? AND ${WAITLIST_ACTIVE} ORDER BY date, id
+  `).all(req.session.phone);
+  res.json({ ok: true, items: rows.map(e => ({ ...e, position: e.status === 'WAITING' ? waitlistPosition(e) : 0 })) });
+});
+
+// Leave the waitlist (own entry, or reservations:manage for anyone's)
+app.post('/api/waitlist/:id/leave', requireSession, (req, res) => {
+  const e = db.prepare(`SELECT * FROM waitlist_entries WHERE id=?`).get(Number(req.params.id));
+  if (!e) return res.status(404).json({ error: 'not found' });
+  if (e.driver_phone !== req.session.phone && !can(req.session.role, 'reservations:manage')) {
+    return res.status(403).json({ error: 'not your waitlist entry' });
+  }
+  if (!['WAITING', 'OFFERED'].includes(e.status)) return res.status(409).json({ error: `entry is ${e.status}` });
+
+  db.prepare(`UPDATE waitlist_entries SET status='LEFT', updated_at=CURRENT_TIMESTAMP WHERE id=?`).run(e.id);
+  if (e.status === 'OFFERED') releaseHold(e.offer_token);
+  res.json({ ok: true, id: e.id, status: 'LEFT' });
+});
+
+// Facility view of a site/day's waitlist, all statuses
+app.get('/api/admin/waitlist', requirePerm('appointments:read'), withSite, (req, res) => {
+  const site_id = Number(req.query.site_id);
+  const date = String(req.query.date || siteToday(site_id));
+  if (!site_id) return res.status(400).json({ error: 'site_id required' });
+  const rows = db.prepare(`SELECT * FROM waitlist_entries WHERE site_id=? AND date=? ORDER BY id`).all(site_id, date);
+  res.json({ ok: true, site_id, date, items: rows });
+});
+
+// Offer links: the token in the SMS is the credential, no sign-in needed
+function liveOffer(token) {
+  expireOffers();
+  return db.prepare(`SELECT * FROM waitlist_entries WHERE offer_token=? AND status='OFFERED'`).get(String(token)) || null;
+}
+
+app.get('/api/waitlist/offer/:token', (req, res) => {
+  const e = liveOffer(req.params.token);
+  if (!e) return res.status(410).json({ error: 'this offer has expired or was already used' });
+  const site = getSite(e.site_id);
+  res.json({
+    ok: true,
+    offer: {
+      site_id: e.site_id, site_name: site?.name, date: e.date, slot_time: e.offer_slot_time,
+      expires_at: e.offer_expires_at, driver_name: e.driver_name,
+      phone_last4: String(e.driver_phone).slice(-4)
+    }
+  });
+});
+
+// Accept: books the held slot through the normal confirm path. The phone always
+// comes from the waitlist entry; other details may be corrected in the body.
+app.post('/api/waitlist/offer/:token/accept', async (req, res) => {
+  try {
+    const e = liveOffer(req.params.token);
+    if (!e) return res.status(410).json({ error: 'this offer has expired or was already used' });
+
+    const slot = db.prepare(`
+      SELECT * FROM time_slots
+       WHERE hold_token=? AND hold_expires_at > CURRENT_TIMESTAMP AND reserved_truck_id IS NULL
+    `).get(e.offer_token);
+    if (!slot) return res.status(410).json({ error: 'this offer has expired or was already used' });
+    // Bans and no-show pauses that landed after the driver joined the line still apply
+    const blocked = bookingBlock(e.driver_phone);
+    if (blocked) return res.status(403).json(blocked);
+
+    const body = {};
+    for (const f of WAITLIST_FIELDS) body[f] = req.body?.[f] !== undefined ? req.body[f] : e[f];
+    body.driver_phone = e.driver_phone;
+    const limit = bookingLimitError(getSite(slot.site_id), {
+      date: slot.date, slot_time: slot.slot_time, phone: e.driver_phone, carrier: body.trucking_company, driver: true
+    });
+    if (limit) return res.status(409).json({ error: limit, code: 'booking_limit' });
+    const full = volumeCapError(slot.site_id, slot.date, body.est_amount, body.est_unit);
+    if (full) return res.status(409).json({ error: full, code: 'volume_cap' });
+
+    // bookHeldSlot clears the hold synchronously, so a second accept gets 410 above
+    const out = await bookHeldSlot(req, slot, body, { actorPhone: e.driver_phone });
+    if (!out) return res.status(410).json({ error: 'this offer has expired or was already used' });
+    db.prepare(`
+      UPDATE waitlist_entries SET status='BOOKED', reservation_id=?, updated_at=CURRENT_TIMESTAMP WHERE id=?
+    `).run(out.reservation_id, e.id);
+
+    res.status(201).json({ ok: true, ...out, site_id: slot.site_id, date: slot.date, slot_time: slot.slot_time });
+  } catch (err) {
+    console.error('/api/waitlist/offer/:token/accept', err);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+app.post('/api/waitlist/offer/:token/decline', (req, res) => {
+  const e = liveOffer(req.params.token);
+  if (!e) return res.status(410).json({ error: 'this offer has expired or was already used' });
+  db.prepare(`UPDATE waitlist_entries SET status='DECLINED', updated_at=CURRENT_TIMESTAMP WHERE id=?`).run(e.id);
+  releaseHold(e.offer_token);
+  res.json({ ok: true });
+});
+
 // ------------------------- Driver Manage (secure) ----------------------------
 // Lookup by phone (full or last 4) + probe code
 app.post('/api/driver/manage/lookup', (req, res) => {
@@ -1097,6 +3175,7 @@ app.post('/api/driver/manage/lookup', (req, res) => {
         FROM slot_reservations
         WHERE substr(driver_phone, -4) = ?
           AND queue_code = ?
+          AND status = 'reserved'
         ORDER BY datetime(created_at) DESC
         LIMIT 1
       `).get(phoneRaw, probe);
@@ -1112,6 +3191,7 @@ app.post('/api/driver/manage/lookup', (req, res) => {
         FROM slot_reservations
         WHERE driver_phone = ?
           AND queue_code = ?
+          AND status = 'reserved'
         ORDER BY datetime(created_at) DESC
         LIMIT 1
       `).get(phoneFull, probe);
@@ -1126,7 +3206,58 @@ app.post('/api/driver/manage/lookup', (req, res) => {
   }
 });
 
-// Update fields (requires phone + probe_code to match reservation)
+// Signed-in driver: their upcoming reservation(s), soonest first. No probe code needed —
+// the OTP session already proves the phone.
+app.post('/api/driver/manage/lookup-last', requireSession, (req, res) => {
+  try {
+    const rows = db.prepare(`
+      SELECT id, site_id, date, slot_time, driver_name, license_plate, trucking_company,
+             vendor_name, farm_or_ticket, est_amount, est_unit, driver_phone, queue_code, status
+        FROM slot_reservations
+       WHERE driver_phone = ?
+         AND status = 'reserved'
+         AND date >= date('now','-1 day')
+       ORDER BY date, time(slot_time)
+    `).all(req.session.phone).filter(r => r.date >= siteToday(r.site_id)).slice(0, 10);
+
+    if (!rows.length) return res.status(404).json({ error: 'no upcoming reservation' });
+
+    return res.json({ ok: true, reservation: rows[0], reservations: rows });
+  } catch (e) {
+    console.error('/api/driver/manage/lookup-last', e);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+// Security gate for driver self-service: a signed-in driver whose phone is on the
+// reservation, or both phone AND probe code matching it. Returns { row } or { status, error }.
+function authorizeDriver(req, reservation_id, phone, probe_code) {
+  const s = getSession(req);
+  const viaSession = s && s.role === 'driver';
+
+  const phoneNorm = normPhone(phone);
+  if (!viaSession && (!phoneNorm || !/^\d{4}$/.test(String(probe_code||'')))) {
+    return { status: 400, error: 'valid phone and 4-digit probe_code required' };
+  }
+
+  const row = db.prepare(`SELECT * FROM slot_reservations WHERE id=?`).get(reservation_id);
+  if (!row) return { status: 404, error: 'reservation not found' };
+  if (row.status !== 'reserved') return { status: 409, error: 'this reservation is no longer active' };
+
+  if (viaSession && row.driver_phone && row.driver_phone === s.phone) return { row };
+  if ((row.driver_phone || '') !== phoneNorm || (row.queue_code || '') !== String(probe_code)) {
+    return { status: 403, error: 'phone or probe code does not match this reservation' };
+  }
+  return { row };
+}
+
+const minutesUntilSlot = r => -arrivalOffsetMin(r);
+const callFacility = site_id => {
+  const phone = getSite(site_id)?.facility_phone;
+  return phone ? `call the facility at ${phone}` : 'call the facility';
+};
+
+// Update fields (requires phone + probe_code to match reservation, or a driver session)
 app.post('/api/driver/manage/update', async (req, res) => {
   try {
     const {
@@ -1137,18 +3268,9 @@ app.post('/api/driver/manage/update', async (req, res) => {
 
     if (!reservation_id) return res.status(400).json({ error: 'reservation_id required' });
 
-    const phoneNorm = normPhone(phone);
-    if (!phoneNorm || !/^\d{4}$/.test(String(probe_code||''))) {
-      return res.status(400).json({ error: 'valid phone and 4-digit probe_code required' });
-    }
-
-    const row = db.prepare(`SELECT * FROM slot_reservations WHERE id=?`).get(reservation_id);
-    if (!row) return res.status(404).json({ error:'reservation not found' });
-
-    // Security gate: both phone AND probe code must match this reservation
-    if ((row.driver_phone || '') !== phoneNorm || (row.queue_code || '') !== String(probe_code)) {
-      return res.status(403).json({ error: 'phone or probe code does not match this reservation' });
-    }
+    const auth = authorizeDriver(req, reservation_id, phone, probe_code);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const row = auth.row;
 
     const setParts = [];
     const vals = [];
@@ -1166,7 +3288,11 @@ app.post('/api/driver/manage/update', async (req, res) => {
 
     const sql = `UPDATE slot_reservations SET ${setParts.join(', ')} WHERE id=?`;
     vals.push(reservation_id);
-    const info = db.prepare(sql).run(...vals);
+    const info = db.transaction(() => {
+      const out = db.prepare(sql).run(...vals);
+      audit(req, 'update', row, getReservation(row.id), { actorPhone: row.driver_phone });
+      return out;
+    })();
 
     // Optional courtesy SMS (no probe code included here)
     if (row.driver_phone) {
@@ -1182,9 +3308,931 @@ app.post('/api/driver/manage/update', async (req, res) => {
   }
 });
 
+// Cancel own appointment. Body: { reservation_id, phone, probe_code }
+app.post('/api/driver/manage/cancel', async (req, res) => {
+  try {
+    const { reservation_id, phone, probe_code } = req.body || {};
+    if (!reservation_id) return res.status(400).json({ error: 'reservation_id required' });
+
+    const auth = authorizeDriver(req, reservation_id, phone, probe_code);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const row = auth.row;
+
+    if (minutesUntilSlot(row) < DRIVER_CHANGE_CUTOFF_MIN) {
+      return res.status(409).json({
+        error: `changes are closed within ${DRIVER_CHANGE_CUTOFF_MIN} minutes of your slot; ${callFacility(row.site_id)}`
+      });
+    }
+
+    endReservation(row, req, 'canceled_by_driver', { actorPhone: row.driver_phone });
+    emitSlotsChanged(row.site_id, row.date);
+
+    if (row.driver_phone) {
+      try {
+        await sendSMS(row.driver_phone,
+          `Cargill: Your ${row.date} ${row.slot_time} (${siteLabel(row.site_id)}) appointment is cancelled.`);
+      } catch (_) {}
+    }
+
+    return res.json({ ok: true, reservation_id: row.id });
+  } catch (e) {
+    console.error('/api/driver/manage/cancel', e);
+    res.status(500).json({ error:'server error' });
+  }
+});
+
+// Move own appointment to another open slot at the same site.
+// Body: { reservation_id, phone, probe_code, hold_token } — a hold from /api/slots/hold —
+//   or  { reservation_id, phone, probe_code, to_slot_time, to_date? } — we take the hold here.
+// The new slot is held before the old one is touched, so a failed move leaves the
+// driver exactly where they were.
+app.post('/api/driver/manage/reschedule', async (req, res) => {
+  let ourHold = null;
+  try {
+    expireHolds();
+    const { reservation_id, phone, probe_code, hold_token, to_slot_time } = req.body || {};
+    if (!reservation_id) return res.status(400).json({ error: 'reservation_id required' });
+    if (!hold_token && !to_slot_time) return res.status(400).json({ error: 'hold_token or to_slot_time required' });
+
+    const auth = authorizeDriver(req, reservation_id, phone, probe_code);
+    if (auth.error) return res.status(auth.status).json({ error: auth.error });
+    const row = auth.row;
+
+    if (minutesUntilSlot(row) < DRIVER_CHANGE_CUTOFF_MIN) {
+      return res.status(409).json({
+        error: `changes are closed within ${DRIVER_CHANGE_CUTOFF_MIN} minutes of your slot; ${callFacility(row.site_id)}`
+      });
+    }
+
+    // 1) Hold the target
+    let token = hold_token ? String(hold_token) : null;
+    if (!token) {
+      const to_date = String(req.body?.to_date || row.date);
+      token = crypto.randomUUID();
+      const held = db.prepare(`
+        UPDATE time_slots
+           SET hold_token=?, hold_expires_at=datetime('now','+120 seconds')
+         WHERE site_id=? AND date=? AND slot_time=? AND is_workin=0
+           AND reserved_truck_id IS NULL AND hold_token IS NULL
+           AND (disabled IS NULL OR disabled = 0)
+      `).run(token, row.site_id, to_date, String(to_slot_time));
+      if (!held.changes) return res.status(409).json({ error: 'that time is not available' });
+      ourHold = token;
+      publishEvent('hold.created', { site_id: row.site_id, date: to_date, slot_time: String(to_slot_time) });
+    }
+
+    const tgt = db.prepare(`
+      SELECT * FROM time_slots WHERE hold_token=? AND hold_expires_at > CURRENT_TIMESTAMP
+    `).get(token);
+    if (!tgt) return res.status(410).json({ error: 'hold expired or invalid' });
+    if (tgt.site_id !== row.site_id) {
+      if (ourHold) releaseHold(ourHold);
+      return res.status(400).json({ error: 'can only reschedule within the same site' });
+    }
+    if (tgt.is_workin) {
+      if (ourHold) releaseHold(ourHold);
+      return res.status(409).json({ error: 'that time is not available' });
+    }
+    if (minutesUntilSlot(tgt) < DRIVER_CHANGE_CUTOFF_MIN) {
+      if (ourHold) releaseHold(ourHold);
+      return res.status(409).json({ error: `new time must be at least ${DRIVER_CHANGE_CUTOFF_MIN} minutes out` });
+    }
+    const limit = bookingLimitError(getSite(tgt.site_id), {
+      date: tgt.date, slot_time: tgt.slot_time, phone: row.driver_phone, carrier: row.trucking_company, excludeId: row.id,
+      driver: true
+    });
+    const full = !limit && volumeCapError(tgt.site_id, tgt.date, row.est_amount, row.est_unit, row.id);
+    if (limit || full) {
+      if (ourHold) releaseHold(ourHold);
+      return res.status(409).json({ error: limit || full, code: limit ? 'booking_limit' : 'volume_cap' });
+    }
+
+    // 2) Swap
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE time_slots
+           SET reserved_truck_id=?, reserved_at=CURRENT_TIMESTAMP, hold_token=NULL, hold_expires_at=NULL
+         WHERE id=?
+      `).run(row.id, tgt.id);
+      db.prepare(`
+        UPDATE time_slots
+           SET reserved_truck_id=NULL, reserved_at=NULL
+         WHERE site_id=? AND date=? AND slot_time=? AND reserved_truck_id=?
+      `).run(row.site_id, row.date, row.slot_time, row.id);
+      db.prepare(`UPDATE slot_reservations SET date=?, slot_time=? WHERE id=?`)
+        .run(tgt.date, tgt.slot_time, row.id);
+      audit(req, 'reschedule', row, getReservation(row.id), { actorPhone: row.driver_phone });
+    })();
+    ourHold = null;
+
+    emitSlotsChanged(row.site_id, row.date);
+    if (tgt.date !== row.date) emitSlotsChanged(tgt.site_id, tgt.date);
+
+    if (row.driver_phone) {
+      try {
+        await sendSMS(row.driver_phone,
+          `Cargill: Rescheduled to ${tgt.date} at ${tgt.slot_time} (${siteLabel(row.site_id)}). ` +
+          `Probe code: ${row.queue_code}. Reply STOP to opt out.`);
+      } catch (_) {}
+    }
+
+    return res.json({
+      ok: true, reservation_id: row.id,
+      from: { date: row.date, slot_time: row.slot_time },
+      to:   { date: tgt.date, slot_time: tgt.slot_time },
+      queue_code: row.queue_code
+    });
+  } catch (e) {
+    if (ourHold) releaseHold(ourHold);
+    console.error('/api/driver/manage/reschedule', e);
+    res.status(500).json({ error:'server error' });
+  }
+});
+
+// ------------------------- Inbound SMS (Twilio webhook) ----------------------
+// Point the Twilio number's "A message comes in" webhook at PUBLIC_URL/sms/inbound.
+// Replies act on the sender's next upcoming reservation:
+//   STOP (and synonyms) / START / HELP  -> opt-out state, honoured by sendSMS
+//   CONFIRM                             -> stamps driver_confirmed_at
+//   CANCEL                              -> same rules as driver self-service cancel
+// Twilio's default opt-out management treats CANCEL as STOP; remove it from the
+// Messaging Service's opt-out keywords or it never reaches us as a cancel.
+const SMS_STOP_WORDS  = new Set(['STOP', 'STOPALL', 'UNSUBSCRIBE', 'END', 'QUIT', 'OPTOUT', 'REVOKE']);
+const SMS_START_WORDS = new Set(['START', 'UNSTOP', 'YES']);
+const SMS_HELP_WORDS  = new Set(['HELP', 'INFO']);
+const SMS_HELP_TEXT =
+  'Cargill Virtual Line: reply CONFIRM to confirm or CANCEL to cancel your next appointment. ' +
+  'Reply STOP to opt out.';
+
+const xmlEscape = s => String(s).replace(/[<>&'"]/g, c => ({ '<':'&lt;', '>':'&gt;', '&':'&amp;', "'":'&apos;', '"':'&quot;' })[c]);
+const twiml = msg =>
+  `<?xml version="1.0" encoding="UTF-8"?><Response>${msg ? `<Message>${xmlEscape(msg)}</Message>` : ''}</Response>`;
+
+function nextReservationFor(phone) {
+  return db.prepare(`
+    SELECT * FROM slot_reservations
+     WHERE driver_phone=? AND status='reserved' AND date >= date('now','-1 day')
+     ORDER BY date, time(slot_time)
+  `).all(phone).find(r => minutesUntilSlot(r) > 0) || null;
+}
+
+// Returns { action, reservation_id?, message? } — message is the SMS reply, if any
+function handleInboundSMS(req, phone, word) {
+  if (SMS_STOP_WORDS.has(word)) {
+    db.prepare(`
+      INSERT INTO sms_opt_outs (phone, keyword) VALUES (?, ?)
+      ON CONFLICT(phone) DO UPDATE SET keyword=excluded.keyword, opted_out_at=CURRENT_TIMESTAMP
+    `).run(phone, word);
+    return { action: 'opt_out' }; // carriers/Twilio send the opt-out confirmation
+  }
+  if (SMS_START_WORDS.has(word)) {
+    db.prepare(`DELETE FROM sms_opt_outs WHERE phone=?`).run(phone);
+    return { action: 'opt_in', message: 'Cargill: You are subscribed to Virtual Line texts again. Reply HELP for help.' };
+  }
+  if (SMS_HELP_WORDS.has(word)) return { action: 'help', message: SMS_HELP_TEXT };
+  if (word !== 'CONFIRM' && word !== 'CANCEL') return { action: 'unknown', message: SMS_HELP_TEXT };
+
+  const r = nextReservationFor(phone);
+  if (!r) return { action: word.toLowerCase(), message: 'Cargill: We could not find an upcoming appointment for this number.' };
+  const when = `${r.date} ${r.slot_time} (${siteLabel(r.site_id)})`;
+
+  if (word === 'CONFIRM') {
+    if (!r.driver_confirmed_at) {
+      db.prepare(`UPDATE slot_reservations SET driver_confirmed_at=CURRENT_TIMESTAMP WHERE id=?`).run(r.id);
+      audit(req, 'confirm', r, getReservation(r.id), { reason: 'SMS CONFIRM', actorPhone: phone });
+      emitSlotsChanged(r.site_id, r.date);
+    }
+    return { action: 'confirm', reservation_id: r.id, message: `Cargill: Thanks, your ${when} appointment is confirmed. Probe code: ${r.queue_code}.` };
+  }
+
+  if (minutesUntilSlot(r) < DRIVER_CHANGE_CUTOFF_MIN) {
+    return {
+      action: 'cancel', reservation_id: r.id,
+      message: `Cargill: Your ${when} appointment can't be cancelled by text within ${DRIVER_CHANGE_CUTOFF_MIN} minutes of the slot; ${callFacility(r.site_id)}.`
+    };
+  }
+  endReservation(r, req, 'canceled_by_driver', { reason: 'SMS CANCEL', actorPhone: phone });
+  emitSlotsChanged(r.site_id, r.date);
+  return { action: 'cancel', reservation_id: r.id, message: `Cargill: Your ${when} appointment is cancelled.` };
+}
+
+// Twilio webhooks post form-encoded params signed with the auth token
+const twilioForm = express.urlencoded({ extended: false });
+function requireTwilioSignature(req, res, next) {
+  if (!TWILIO_AUTH) return res.status(503).type('text/plain').send('Twilio webhooks not configured');
+  // Twilio signs the URL it was configured with, not the one the proxy hands us
+  const url = PUBLIC_URL + req.originalUrl;
+  if (!isValidTwilioSignature(TWILIO_AUTH, req.get('X-Twilio-Signature'), url, req.body || {})) {
+    console.warn(`${req.path}: bad signature for`, url);
+    return res.status(403).type('text/plain').send('invalid signature');
+  }
+  next();
+}
+
+// Replies are TwiML
+app.post('/sms/inbound', twilioForm, requireTwilioSignature, (req, res) => {
+  try {
+    const from = String(req.body.From || '');
+    const phone = normPhone(from);
+    const text = String(req.body.Body || '').trim();
+    const word = text.split(/\s+/)[0].toUpperCase().replace(/[^A-Z]/g, '');
+
+    const logged = db.prepare(`
+      INSERT OR IGNORE INTO sms_inbound (message_sid, from_phone, body) VALUES (?, ?, ?) RETURNING id
+    `).get(req.body.MessageSid || null, phone || from, text);
+    if (!logged) return res.type('text/xml').send(twiml()); // Twilio retry; already handled
+
+    const out = phone ? handleInboundSMS(req, phone, word) : { action: 'unknown' };
+    db.prepare(`UPDATE sms_inbound SET action=?, reservation_id=? WHERE id=?`)
+      .run(out.action, out.reservation_id ?? null, logged.id);
+    console.log('[SMS IN]', phone || from, word || '(empty)', '->', out.action);
+    res.type('text/xml').send(twiml(out.message));
+  } catch (e) {
+    console.error('/sms/inbound', e);
+    res.status(500).type('text/xml').send(twiml());
+  }
+});
+
+// statusCallback for every outbox send (when PUBLIC_URL is set): log each report, keep the latest on the message.
+// Reports can arrive out of order, so a late 'sent' never overwrites a final status.
+const SMS_FINAL = ['delivered', 'undelivered', 'failed'];
+app.post('/sms/status', twilioForm, requireTwilioSignature, (req, res) => {
+  try {
+    const sid = String(req.body.MessageSid || '');
+    const status = String(req.body.MessageStatus || '').toLowerCase();
+    const code = req.body.ErrorCode ? String(req.body.ErrorCode) : null;
+    if (!sid || !status) return res.status(400).type('text/plain').send('MessageSid and MessageStatus required');
+
+    const m = db.prepare(`SELECT id FROM sms_outbox WHERE provider_sid=?`).get(sid);
+    db.prepare(`
+      INSERT INTO sms_status_events (outbox_id, provider_sid, status, error_code) VALUES (?, ?, ?, ?)
+    `).run(m?.id ?? null, sid, status, code);
+
+    if (m && (status === 'sent' || SMS_FINAL.includes(status))) {
+      db.prepare(`
+        UPDATE sms_outbox
+           SET status=?, last_error=COALESCE(?, last_error), updated_at=CURRENT_TIMESTAMP,
+               delivered_at=CASE WHEN ?='delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+         WHERE id=? AND status NOT IN (${SMS_FINAL.map(() => '?').join(',')})
+      `).run(status, code && `Twilio ${code}`, status, m.id, ...SMS_FINAL);
+    }
+    res.status(204).end();
+  } catch (e) {
+    console.error('/sms/status', e);
+    res.status(500).end();
+  }
+});
+
+// ------------------------- Check-In / Live Queue -----------------------------
+// Flow: QUEUED -> CALLED -> AT_DOCK -> DUMPED -> DEPARTED (forward only)
+const QUEUE_STATES = ['QUEUED', 'CALLED', 'AT_DOCK', 'DUMPED', 'DEPARTED'];
+const QUEUE_STAMP  = {
+  CALLED:   'called_at',
+  AT_DOCK:  'at_dock_at',
+  DUMPED:   'dumped_at',
+  DEPARTED: 'departed_at'
+};
+
+// Staff-facing columns (no phone numbers). The unauthenticated board gets queueBoardOut.
+const QUEUE_COLS = `
+  id, site_id, date, reservation_id, queue_code, is_walkin,
+  driver_name, license_plate, trucking_company, vendor_name, farm_or_ticket,
+  est_amount, est_unit, status,
+  checked_in_at, called_at, at_dock_at, dumped_at, departed_at, updated_at`;
+
+// What anyone may see of a line entry: its code, where it stands and since when
+const queueBoardOut = e => ({
+  queue_code: e.queue_code, status: e.status, position: e.position,
+  checked_in_at: e.checked_in_at, called_at: e.called_at, at_dock_at: e.at_dock_at,
+  dumped_at: e.dumped_at, departed_at: e.departed_at
+});
+
+function queuePosition(entry) {
+  if (entry.status !== 'QUEUED') return 0;
+  return db.prepare(`
+    SELECT COUNT(*) AS n FROM queue_entries
+     WHERE site_id=? AND date=? AND status='QUEUED' AND id <= ?
+  `).get(entry.site_id, entry.date, entry.id).n;
+}
+
+// Walk-ins get a code that collides with nothing else on that site/day
+function walkinCode(site_id, date) {
+  const taken = db.prepare(`
+    SELECT 1 FROM slot_reservations WHERE site_id=? AND date=? AND queue_code=?
+    UNION ALL
+    SELECT 1 FROM queue_entries     WHERE site_id=? AND date=? AND queue_code=?
+  `);
+  for (let i = 0; i < 50; i++) {
+    const code = fourDigit();
+    if (!taken.get(site_id, date, code, site_id, date, code)) return code;
+  }
+  throw new Error('could not allocate walk-in code');
+}
+
+// Null or a 429 body (see tooMany) once an IP has made CHECKIN_MAX_PER_IP_HOUR public check-ins
+function checkinBlock(ip) {
+  if (!ip) return null;
+  const row = db.prepare(`
+    SELECT COUNT(*) AS n, MIN(checked_in_at) AS first FROM queue_entries
+     WHERE checkin_ip=? AND datetime(checked_in_at) > datetime('now','-1 hour')
+  `).get(ip);
+  if (row.n < CHECKIN_MAX_PER_IP_HOUR) return null;
+  return {
+    error: 'too many check-ins from this network; see the scale house',
+    code: 'rate_limited',
+    retry_after: secondsUntil(db.prepare(`SELECT datetime(?, '+1 hour') AS t`).get(row.first).t)
+  };
+}
+
+// Body: { site_id, date? (staff), queue_code?, driver_name, driver_phone, license_plate,
+//         trucking_company, vendor_name, farm_or_ticket, est_amount, est_unit }
+// With queue_code: ties the arrival to that day's reservation. Without: walk-in.
+// A 4-digit code is guessable, so outside staff sessions driver_phone must be the
+// reservation's phone (a signed-in driver's own phone counts). Those callers always
+// check in for the site's today and are limited to CHECKIN_MAX_PER_IP_HOUR.
+app.post('/api/queue/checkin', withActiveSite, (req, res) => {
+  try {
+    const body    = req.body || {};
+    const s       = getSession(req);
+    const staff   = !!s && can(s.role, 'queue:manage');
+    const site_id = Number(body.site_id);
+    const date    = staff && body.date ? String(body.date) : siteToday(site_id);
+    const code    = String(body.queue_code || '').trim();
+    const phone   = body.driver_phone ? normPhone(body.driver_phone) : (s?.role === 'driver' ? s.phone : null);
+
+    if (!site_id) return res.status(400).json({ error: 'site_id required' });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    if (code && !/^\d{4}$/.test(code)) {
+      return res.status(400).json({ error: 'queue_code must be 4 digits' });
+    }
+    if (body.driver_phone && !phone) return res.status(400).json({ error: 'invalid phone' });
+    if (!staff) {
+      const block = checkinBlock(req.ip);
+      if (block) return tooMany(res, block);
+    }
+
+    let resv = null;
+    if (code) {
+      let matches = db.prepare(`
+        SELECT * FROM slot_reservations WHERE site_id=? AND date=? AND queue_code=? AND status='reserved'
+      `).all(site_id, date, code);
+      if (!staff) {
+        if (!phone) return res.status(400).json({ error: 'driver_phone required with queue_code' });
+        matches = matches.filter(r => r.driver_phone === phone);
+      } else if (matches.length > 1 && phone) {
+        matches = matches.filter(r => r.driver_phone === phone);
+      }
+      if (!matches.length) return res.status(404).json({ error: 'no reservation found for that code and phone' });
+      if (matches.length > 1) {
+        return res.status(409).json({ error: 'code matches more than one reservation; include driver_phone' });
+      }
+      resv = matches[0];
+
+      const existing = db.prepare(`SELECT ${QUEUE_COLS} FROM queue_entries WHERE reservation_id=?`).get(resv.id);
+      if (existing) {
+        return res.json({ ok: true, already_checked_in: true, entry: existing, position: queuePosition(existing) });
+      }
+    } else if (!body.license_plate || !body.driver_name) {
+      return res.status(400).json({ error: 'license_plate and driver_name required for walk-ins' });
+    }
+
+    // Prefer what the driver typed at the gate, fall back to the reservation
+    const pick = k => (body[k] !== undefined && body[k] !== null && body[k] !== '') ? body[k] : (resv?.[k] ?? null);
+
+    const entry = db.prepare(`
+      INSERT INTO queue_entries
+        (site_id, date, reservation_id, queue_code, is_walkin,
+         driver_name, driver_phone, license_plate, trucking_company, vendor_name,
+         farm_or_ticket, est_amount, est_unit, status, checkin_ip)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,'QUEUED',?)
+      RETURNING ${QUEUE_COLS}
+    `).get(
+      site_id, date, resv ? resv.id : null, resv ? resv.queue_code : walkinCode(site_id, date), resv ? 0 : 1,
+      pick('driver_name'), phone || resv?.driver_phone || null, pick('license_plate'),
+      pick('trucking_company'), pick('vendor_name'), pick('farm_or_ticket'),
+      pick('est_amount'), String(pick('est_unit') || 'BUSHELS').toUpperCase(),
+      staff ? null : (req.ip || null)
+    );
+
+    emitQueueChanged(site_id, date);
+    return res.status(201).json({ ok: true, entry, position: queuePosition(entry) });
+  } catch (e) {
+    console.error('/api/queue/checkin', e);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
+
+// Per-site queue listing (what queue-board.html renders). ?all=1 includes DEPARTED.
+// Names, plates and loads only for staff sessions; the public board sees queueBoardOut.
+app.get('/api/queue', withSite, (req, res) => {
+  try {
+    const site_id = parseInt(req.query.site_id, 10);
+    const date    = String(req.query.date || siteToday(site_id));
+    const all     = String(req.query.all || '') === '1';
+    if (!site_id) return res.status(400).json({ error: 'site_id required' });
+
+    const rows = db.prepare(`
+      SELECT ${QUEUE_COLS} FROM queue_entries
+       WHERE site_id=? AND date=? ${all ? '' : `AND status <> 'DEPARTED'`}
+       ORDER BY CASE status
+                  WHEN 'AT_DOCK' THEN 0 WHEN 'CALLED' THEN 1 WHEN 'QUEUED' THEN 2
+                  WHEN 'DUMPED' THEN 3 ELSE 4 END,
+                id
+    `).all(site_id, date);
+
+    let pos = 0;
+    const s = getSession(req);
+    const staff = !!s && can(s.role, 'queue:manage');
+    const items = rows.map(r => ({ ...r, position: r.status === 'QUEUED' ? ++pos : 0 }));
+    res.json({ ok: true, site_id, date, items: staff ? items : items.map(queueBoardOut) });
+  } catch (e) {
+    console.error('/api/queue', e);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
+function advanceQueueEntry(entry, to) {
+  const stamp = QUEUE_STAMP[to];
+  db.prepare(`
+    UPDATE queue_entries
+       SET status=?, ${stamp}=CURRENT_TIMESTAMP, updated_at=CURRENT_TIMESTAMP
+     WHERE id=?
+  `).run(to, entry.id);
+  return db.prepare(`SELECT ${QUEUE_COLS}, driver_phone FROM queue_entries WHERE id=?`).get(entry.id);
+}
+
+// Body: { id, status? } — moves to `status` (forward only) or to the next state
+app.post('/api/admin/queue/advance', requirePerm('queue:manage'), async (req, res) => {
+  try {
+    const { id, status } = req.body || {};
+    if (!id) return res.status(400).json({ error: 'id required' });
+
+    const entry = db.prepare(`SELECT * FROM queue_entries WHERE id=?`).get(id);
+    if (!entry) return res.status(404).json({ error: 'queue entry not found' });
+
+    const cur = QUEUE_STATES.indexOf(entry.status);
+    const to  = status ? String(status).toUpperCase() : QUEUE_STATES[cur + 1];
+    if (!to) return res.status(409).json({ error: 'already departed' });
+    if (!QUEUE_STATES.includes(to)) {
+      return res.status(400).json({ error: `status must be one of ${QUEUE_STATES.join(', ')}` });
+    }
+    if (QUEUE_STATES.indexOf(to) <= cur) {
+      return res.status(409).json({ error: `cannot move from ${entry.status} to ${to}` });
+    }
+
+    const updated = advanceQueueEntry(entry, to);
+    emitQueueChanged(entry.site_id, entry.date);
+
+    if (to === 'CALLED' && updated.driver_phone) {
+      await sendSMS(updated.driver_phone,
+        `Cargill: Code ${updated.queue_code} — please proceed to the ${siteLabel(entry.site_id)} dock now.`);
+    }
+
+    const { driver_phone, ...out } = updated;
+    return res.json({ ok: true, entry: out });
+  } catch (e) {
+    console.error('/api/admin/queue/advance', e);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
+
+// Body: { id } or { site_id, date? } — calls that truck, or the next QUEUED one in line
+app.post('/api/admin/queue/call', requirePerm('queue:manage'), withSite, async (req, res) => {
+  try {
+    const { id, site_id } = req.body || {};
+    const date = String(req.body?.date || siteToday(site_id));
+    if (!id && !site_id) return res.status(400).json({ error: 'id or site_id required' });
+
+    const entry = id
+      ? db.prepare(`SELECT * FROM queue_entries WHERE id=?`).get(id)
+      : db.prepare(`
+          SELECT * FROM queue_entries
+           WHERE site_id=? AND date=? AND status='QUEUED'
+           ORDER BY id LIMIT 1
+        `).get(site_id, date);
+    if (!entry) return res.status(404).json({ error: id ? 'queue entry not found' : 'no trucks waiting' });
+    if (entry.status !== 'QUEUED') return res.status(409).json({ error: `truck is already ${entry.status}` });
+
+    const updated = advanceQueueEntry(entry, 'CALLED');
+    emitQueueChanged(entry.site_id, entry.date);
+
+    if (updated.driver_phone) {
+      await sendSMS(updated.driver_phone,
+        `Cargill: Code ${updated.queue_code} — please proceed to the ${siteLabel(entry.site_id)} dock now.`);
+    }
+
+    const { driver_phone, ...out } = updated;
+    return res.json({ ok: true, entry: out });
+  } catch (e) {
+    console.error('/api/admin/queue/call', e);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
+
+// ------------------------- Scale Verify --------------------------------------
+// Minutes the arrival is after (+) or before (-) the slot, on the site's clock.
+// r: { site_id, date, slot_time }; pass tz when scoring many rows of one site.
+function arrivalOffsetMin(r, at = new Date(), tz = siteTz(r.site_id)) {
+  return Math.round((at.getTime() - siteTimeToUtc(r.date, r.slot_time, tz).getTime()) / 60000);
+}
+function arrivalTiming(offsetMin) {
+  if (offsetMin < -ONTIME_WINDOW_MIN) return 'early';
+  if (offsetMin >  ONTIME_WINDOW_MIN) return 'late';
+  return 'on_time';
+}
+
+// Body: { queue_code, site_id, date?, reservation_id? }
+// Resolves the code via idx_resv_probe and stamps arrived_at on first verify.
+// Duplicate codes on the same site/day come back as 409 with the candidates;
+// resend with reservation_id to pick one.
+app.post('/api/scale/verify', requirePerm('scale:verify'), withSite, (req, res) => {
+  try {
+    const code    = String(req.body?.queue_code || '').trim();
+    const site_id = Number(req.body?.site_id);
+    const date    = String(req.body?.date || siteToday(site_id));
+    const pickId  = req.body?.reservation_id ? Number(req.body.reservation_id) : null;
+
+    if (!/^\d{4}$/.test(code)) return res.status(400).json({ error: 'valid 4-digit queue_code required' });
+    if (!site_id) return res.status(400).json({ error: 'site_id required' });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    let matches = db.prepare(`
+      SELECT id, site_id, date, slot_time, driver_name, driver_phone, license_plate,
+             trucking_company, vendor_name, farm_or_ticket, est_amount, est_unit,
+             queue_code, status, arrived_at
+        FROM slot_reservations
+       WHERE site_id=? AND date=? AND queue_code=? AND status='reserved'
+       ORDER BY time(slot_time)
+    `).all(site_id, date, code);
+    if (pickId) matches = matches.filter(r => r.id === pickId);
+
+    if (!matches.length) return res.status(404).json({ error: 'no reservation found for that code' });
+    if (matches.length > 1) {
+      return res.status(409).json({
+        error: 'ambiguous code',
+        candidates: matches.map(r => ({
+          reservation_id: r.id, slot_time: r.slot_time, driver_name: r.driver_name,
+          license_plate: r.license_plate, trucking_company: r.trucking_company
+        }))
+      });
+    }
+
+    const r = matches[0];
+    const already_arrived = !!r.arrived_at;
+    if (!already_arrived) {
+      r.arrived_at = db.prepare(`
+        UPDATE slot_reservations SET arrived_at=CURRENT_TIMESTAMP WHERE id=? RETURNING arrived_at
+      `).get(r.id).arrived_at;
+    }
+
+    // Time the *first* arrival, not this lookup
+    const offset_min = arrivalOffsetMin(r, utcDate(r.arrived_at));
+    const q = db.prepare(`SELECT status FROM queue_entries WHERE reservation_id=?`).get(r.id);
+
+    if (!already_arrived) emitSlotsChanged(r.site_id, r.date);
+
+    return res.json({
+      ok: true,
+      reservation_id: r.id,
+      queue_code: r.queue_code,
+      site_id: r.site_id,
+      date: r.date,
+      slot_time: r.slot_time,
+      driver_name: r.driver_name,
+      license_plate: r.license_plate,
+      trucking_company: r.trucking_company,
+      vendor_name: r.vendor_name,
+      farm_or_ticket: r.farm_or_ticket,
+      est_amount: r.est_amount,
+      est_unit: r.est_unit,
+      arrived_at: r.arrived_at,
+      already_arrived,
+      timing: arrivalTiming(offset_min),
+      offset_min,
+      queue_status: q?.status || null
+    });
+  } catch (e) {
+    console.error('/api/scale/verify', e);
+    return res.status(500).json({ error: 'server error' });
+  }
+});
+
+// ------------------------- Driver reliability --------------------------------
+// Arrival = scale verify (arrived_at) or gate check-in, whichever came first. A reserved
+// truck with neither NO_SHOW_GRACE_MIN after its slot becomes no_show (actor 'system').
+// The sweep only looks back a day: it runs every minute, and older rows predate it.
+// Off unless NO_SHOW_GRACE_MIN is set.
+function markNoShows(now = new Date()) {
+  const rows = db.prepare(`
+    SELECT r.* FROM slot_reservations r
+     WHERE r.status='reserved' AND r.arrived_at IS NULL
+       AND r.date BETWEEN date('now','-1 day') AND date('now','+1 day')
+       AND NOT EXISTS (SELECT 1 FROM queue_entries q WHERE q.reservation_id=r.id)
+  `).all().filter(r => arrivalOffsetMin(r, now) > NO_SHOW_GRACE_MIN);
+
+  const days = new Map();
+  for (const r of rows) {
+    endReservation(r, {}, 'no_show', { reason: `no arrival within ${NO_SHOW_GRACE_MIN} min of slot` });
+    days.set(`${r.site_id}|${r.date}`, r);
+  }
+  for (const r of days.values()) emitSlotsChanged(r.site_id, r.date);
+  if (rows.length) console.log(`No-shows: marked ${rows.length}`);
+  return rows.length;
+}
+if (NO_SHOW_GRACE_MIN > 0) {
+  setInterval(() => {
+    try { markNoShows(); } catch (e) { console.error('no-show sweep', e); }
+  }, 60000).unref();
+}
+
+// Every reservation for a phone, newest first, with arrival timing, plus tallies
+function driverHistory(phone) {
+  const rows = db.prepare(`
+    SELECT r.*, q.checked_in_at FROM slot_reservations r
+      LEFT JOIN queue_entries q ON q.reservation_id=r.id
+     WHERE r.driver_phone=?
+     ORDER BY r.date DESC, time(r.slot_time) DESC
+  `).all(phone);
+
+  const stats = { booked: rows.length, upcoming: 0, completed: 0, on_time: 0, early: 0, late: 0,
+                  no_show: 0, cancelled: 0, cancelled_late: 0, cancelled_by_facility: 0 };
+  const items = rows.map(r => {
+    const seen = [r.arrived_at, r.checked_in_at].filter(Boolean).sort()[0] || null; // same UTC format
+    const timing = seen ? arrivalTiming(arrivalOffsetMin(r, utcDate(seen))) : null;
+    const cancelled_late = r.status === 'canceled_by_driver' && !!r.status_changed_at &&
+      arrivalOffsetMin(r, utcDate(r.status_changed_at)) > -LATE_CANCEL_MIN;
+
+    if (timing) stats[timing]++;
+    if (r.status === 'reserved' && !seen) stats.upcoming++;
+    else if (r.status === 'completed') stats.completed++;
+    else if (r.status === 'no_show') stats.no_show++;
+    else if (r.status === 'canceled_by_driver') { stats.cancelled++; if (cancelled_late) stats.cancelled_late++; }
+    else if (r.status === 'canceled_by_facility') stats.cancelled_by_facility++;
+    return {
+      id: r.id, site_id: r.site_id, date: r.date, slot_time: r.slot_time, status: r.status,
+      status_changed_at: r.status_changed_at, status_reason: r.status_reason,
+      arrived_at: seen, timing, cancelled_late
+    };
+  });
+  return { stats, items };
+}
+
+// null, or a 403 body explaining why this phone can't book right now
+function bookingBlock(phone) {
+  const u = db.prepare(`SELECT * FROM users WHERE phone=?`).get(phone);
+  if (u?.is_banned) {
+    return { error: `this number is blocked from booking${u.ban_reason ? ` (${u.ban_reason})` : ''}; call the facility`, code: 'banned' };
+  }
+  if (!NO_SHOW_BLOCK_COUNT) return null;
+  const { n } = db.prepare(`
+    SELECT COUNT(*) AS n FROM slot_reservations
+     WHERE driver_phone=? AND status='no_show' AND date >= date('now', ?)
+       AND (? IS NULL OR status_changed_at > ?)
+  `).get(phone, `-${NO_SHOW_LOOKBACK_DAYS} days`, u?.no_shows_forgiven_at ?? null, u?.no_shows_forgiven_at ?? null);
+  if (n >= NO_SHOW_BLOCK_COUNT) {
+    return {
+      error: `online booking is paused after ${n} missed appointments in ${NO_SHOW_LOOKBACK_DAYS} days; call the facility`,
+      code: 'no_shows', no_shows: n
+    };
+  }
+  return null;
+}
+
+const userOut = (phone) => db.prepare(`SELECT * FROM users WHERE phone=?`).get(phone) || { phone, is_banned: 0 };
+
+// Drivers who are banned or currently have no-shows in the lookback window
+app.get('/api/admin/drivers', requireAdmin, (req, res) => {
+  const rows = db.prepare(`
+    SELECT p.phone, COALESCE(u.is_banned, 0) AS is_banned, u.ban_reason, u.no_shows_forgiven_at,
+           (SELECT COUNT(*) FROM slot_reservations r
+             WHERE r.driver_phone=p.phone AND r.status='no_show' AND r.date >= date('now', ?)) AS recent_no_shows
+      FROM (SELECT phone FROM users WHERE is_banned=1
+            UNION SELECT driver_phone FROM slot_reservations
+                   WHERE status='no_show' AND driver_phone IS NOT NULL AND date >= date('now', ?)) p
+      LEFT JOIN users u ON u.phone=p.phone
+     ORDER BY u.is_banned DESC, recent_no_shows DESC
+  `).all(`-${NO_SHOW_LOOKBACK_DAYS} days`, `-${NO_SHOW_LOOKBACK_DAYS} days`);
+  res.json({ ok:true, threshold: NO_SHOW_BLOCK_COUNT, lookback_days: NO_SHOW_LOOKBACK_DAYS,
+             items: rows.map(r => ({ ...r, blocked: !!bookingBlock(r.phone) })) });
+});
+
+app.get('/api/admin/drivers/:phone', requireAdmin, (req, res) => {
+  const phone = normPhone(req.params.phone);
+  if (!phone) return res.status(400).json({ error: 'invalid phone' });
+  const { stats, items } = driverHistory(phone);
+  const audit = db.prepare(`SELECT * FROM driver_audit WHERE phone=? ORDER BY id DESC LIMIT 50`).all(phone);
+  res.json({ ok:true, user: userOut(phone), stats, blocked: bookingBlock(phone), items, audit: audit.map(auditOut) });
+});
+
+const DRIVER_AUDIT_FIELDS = ['is_banned', 'ban_reason', 'no_shows_forgiven_at'];
+
+// Body: { is_banned?, ban_reason?, forgive_no_shows? } — forgiving lifts a no-show
+// pause by only counting no-shows after now.
+app.put('/api/admin/drivers/:phone', requireAdmin, (req, res) => {
+  try {
+    const phone = normPhone(req.params.phone);
+    if (!phone) return res.status(400).json({ error: 'invalid phone' });
+    const body = req.body || {};
+    const s = getSession(req);
+    const admin = s.phone;
+
+    db.transaction(() => {
+      db.prepare(`INSERT OR IGNORE INTO users (phone) VALUES (?)`).run(phone);
+      const before = userOut(phone);
+      if (body.is_banned) {
+        db.prepare(`
+          UPDATE users SET is_banned=1, ban_reason=?, banned_at=CURRENT_TIMESTAMP, banned_by=? WHERE phone=?
+        `).run(body.ban_reason ? String(body.ban_reason).slice(0, 200) : null, admin, phone);
+      } else if (body.is_banned !== undefined) {
+        db.prepare(`
+          UPDATE users SET is_banned=0, ban_reason=NULL, banned_at=NULL, banned_by=NULL WHERE phone=?
+        `).run(phone);
+      }
+      if (body.forgive_no_shows) {
+        db.prepare(`UPDATE users SET no_shows_forgiven_at=CURRENT_TIMESTAMP WHERE phone=?`).run(phone);
+      }
+      const after = userOut(phone);
+      const changes = {};
+      for (const f of DRIVER_AUDIT_FIELDS) {
+        if ((before[f] ?? null) !== (after[f] ?? null)) changes[f] = [before[f] ?? null, after[f] ?? null];
+      }
+      if (!Object.keys(changes).length) return;
+      const action = 'is_banned' in changes ? (after.is_banned ? 'ban' : 'unban')
+        : Object.keys(changes).length === 1 && changes.no_shows_forgiven_at ? 'forgive' : 'update';
+      db.prepare(`
+        INSERT INTO driver_audit (phone, action, actor_phone, actor_role, changes) VALUES (?, ?, ?, ?, ?)
+      `).run(phone, action, admin, s.role, JSON.stringify(changes));
+    })();
+    res.json({ ok:true, user: userOut(phone), blocked: bookingBlock(phone) });
+  } catch (e) {
+    console.error('/api/admin/drivers/:phone PUT', e);
+    res.status(500).json({ error:'server error' });
+  }
+});
+
+// ------------------------- Analytics -----------------------------------------
+// Read-only rollups for facility managers over time_slots, slot_reservations and
+// site_settings. Days, hours and lead times are on the site's clock (sites.timezone);
+// "booked" means a reservation that wasn't cancelled (reserved, completed or no-show).
+const BOOKED_STATUSES = ['reserved', 'completed', 'no_show'];
+const LEAD_BUCKETS = [['under_2h', 2], ['2_to_24h', 24], ['1_to_3d', 72], ['3_to_7d', 168], ['over_7d', Infinity]];
+
+const pct = (n, d) => d ? Math.round(1000 * n / d) / 10 : null;
+const round1 = n => Math.round(n * 10) / 10;
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+function siteAnalytics(site_id, from, to) {
+  const tz = siteTz(site_id);
+  const today = siteToday(site_id);
+  const slots = db.prepare(`
+    SELECT date, slot_time, is_workin, disabled FROM time_slots WHERE site_id=? AND date BETWEEN ? AND ?
+  `).all(site_id, from, to);
+  const resv = db.prepare(`
+    SELECT r.*, q.checked_in_at FROM slot_reservations r
+      LEFT JOIN queue_entries q ON q.reservation_id=r.id
+     WHERE r.site_id=? AND r.date BETWEEN ? AND ?
+  `).all(site_id, from, to);
+  const plans = db.prepare(`
+    SELECT date, loads_target, open_time, close_time FROM site_settings WHERE site_id=? AND date BETWEEN ? AND ?
+  `).all(site_id, from, to);
+
+  const days = new Map(dateRange(from, to).map(d => [d, {
+    date: d, published: 0, disabled: 0, booked: 0, cancelled: 0, no_show: 0, bushels: 0, loads_target: null
+  }]));
+  const hours = Array.from({ length: 24 }, (_, h) => ({ hour: h, published: 0, booked: 0, no_show: 0, arrivals: 0 }));
+  const hourOf = t => Number(String(t).slice(0, 2));
+  for (const p of plans) if (days.has(p.date)) days.get(p.date).loads_target = p.loads_target;
+
+  const slotTotals = { published: slots.length, scheduled: 0, workin: 0, disabled: 0, booked: 0 };
+  for (const s of slots) {
+    slotTotals[s.is_workin ? 'workin' : 'scheduled']++;
+    if (s.disabled) slotTotals.disabled++;
+    days.get(s.date).published++;
+    if (s.disabled) days.get(s.date).disabled++;
+    hours[hourOf(s.slot_time)].published++;
+  }
+
+  const status = {};
+  const leads = [];
+  const leadBuckets = Object.fromEntries(LEAD_BUCKETS.map(([k]) => [k, 0]));
+  const byVendor = new Map(), byCarrier = new Map();
+  const volume = { bushels: 0, by_unit: {} };
+  const bookedSlots = new Set();
+  let pastBooked = 0;
+
+  for (const r of resv) {
+    status[r.status] = (status[r.status] || 0) + 1;
+    const day = days.get(r.date);
+    if (r.status.startsWith('canceled')) { day.cancelled++; continue; }
+    if (!BOOKED_STATUSES.includes(r.status)) continue;
+
+    bookedSlots.add(`${r.date} ${r.slot_time}`);
+    day.booked++;
+    hours[hourOf(r.slot_time)].booked++;
+    if (r.status === 'no_show') { day.no_show++; hours[hourOf(r.slot_time)].no_show++; }
+    if (r.date < today) pastBooked++;
+
+    const seen = [r.arrived_at, r.checked_in_at].filter(Boolean).sort()[0];
+    if (seen) hours[Number(zonedParts(utcDate(seen), tz).hour)].arrivals++;
+
+    if (r.created_at) {
+      const h = -arrivalOffsetMin(r, utcDate(r.created_at), tz) / 60;
+      if (h >= 0) {
+        leads.push(h);
+        leadBuckets[LEAD_BUCKETS.find(([, max]) => h < max)[0]]++;
+      }
+    }
+
+    const bu = toBushels(r.est_amount, r.est_unit);
+    day.bushels += bu;
+    volume.bushels += bu;
+    if (r.est_amount) {
+      const unit = String(r.est_unit || 'BUSHELS').toUpperCase();
+      volume.by_unit[unit] = (volume.by_unit[unit] || 0) + Number(r.est_amount);
+    }
+    for (const [map, key] of [[byVendor, r.vendor_name], [byCarrier, r.trucking_company]]) {
+      const name = String(key || '').trim() || '(none)';
+      const k = name.toUpperCase();
+      const e = map.get(k) || { name, loads: 0, bushels: 0 };
+      e.loads++;
+      e.bushels += bu;
+      map.set(k, e);
+    }
+  }
+  slotTotals.booked = bookedSlots.size;
+
+  const cancelled = (status.canceled_by_driver || 0) + (status.canceled_by_facility || 0);
+  leads.sort((a, b) => a - b);
+  const ranked = map => [...map.values()]
+    .sort((a, b) => b.bushels - a.bushels || b.loads - a.loads)
+    .map(e => ({ ...e, bushels: Math.round(e.bushels), tons: round1(e.bushels * LB_PER_BUSHEL / 2000) }));
+
+  return {
+    slots: {
+      ...slotTotals,
+      open: slotTotals.published - slotTotals.disabled - slotTotals.booked,
+      utilization_pct: pct(slotTotals.booked, slotTotals.published - slotTotals.disabled)
+    },
+    reservations: {
+      total: resv.length, by_status: status, cancelled,
+      cancellation_rate_pct: pct(cancelled, resv.length),
+      cancelled_by_driver: status.canceled_by_driver || 0,
+      cancelled_by_facility: status.canceled_by_facility || 0,
+      // Only days already past can have no-shows
+      no_show_rate_pct: pct(status.no_show || 0, pastBooked)
+    },
+    lead_time_hours: {
+      count: leads.length,
+      avg: leads.length ? round1(leads.reduce((a, b) => a + b, 0) / leads.length) : null,
+      median: leads.length ? round1(quantile(leads, 0.5)) : null,
+      p90: leads.length ? round1(quantile(leads, 0.9)) : null,
+      buckets: leadBuckets
+    },
+    volume: {
+      bushels: Math.round(volume.bushels),
+      tons: round1(volume.bushels * LB_PER_BUSHEL / 2000),
+      lb_per_bushel: LB_PER_BUSHEL,
+      by_unit: volume.by_unit,
+      by_vendor: ranked(byVendor),
+      by_carrier: ranked(byCarrier)
+    },
+    // First to last hour with any activity, gaps kept so the curve reads left to right
+    hours: (() => {
+      const busy = hours.filter(h => h.published || h.booked || h.arrivals).map(h => h.hour);
+      return busy.length ? hours.slice(busy[0], busy[busy.length - 1] + 1) : [];
+    })(),
+    days: [...days.values()].map(d => ({ ...d, bushels: Math.round(d.bushels) }))
+  };
+}
+
+// GET /api/analytics?site_id=1&from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 30 days)
+app.get('/api/analytics', requirePerm('analytics:read'), withSite, (req, res) => {
+  try {
+    if (!req.site) return res.status(400).json({ error: 'site_id required' });
+    const to   = String(req.query.to || siteToday(req.site));
+    const from = String(req.query.from || addDays(to, -29));
+    if (!dateRe.test(from) || !dateRe.test(to) || to < from) {
+      return res.status(400).json({ error: 'from/to must be YYYY-MM-DD, from <= to' });
+    }
+    if (to > addDays(from, 366)) return res.status(400).json({ error: 'range is limited to a year' });
+
+    res.json({ ok: true, site_id: req.site.id, site: req.site.short_code, from, to, ...siteAnalytics(req.site.id, from, to) });
+  } catch (e) {
+    console.error('/api/analytics', e);
+    res.status(500).json({ error: 'server error' });
+  }
+});
+
 // ------------------------- Debug --------------------------------------------
 app.get('/healthz', (_req, res) => res.json({ ok:true }));
-app.get('/debug/env', (_req, res) => {
+app.get('/debug/env', requireAdmin, (_req, res) => {
   res.json({
     PORT, CORS_ORIGIN, DB_PATH,
     hasTwilio: !!(TWILIO_SID && TWILIO_AUTH && TWILIO_FROM),
@@ -1192,8 +4240,9 @@ app.get('/debug/env', (_req, res) => {
     probe_whitelist: Array.from(PROBE_WHITELIST)
   });
 });
-app.get('/debug/slots', (req,res)=>{
-  const { site_id=1, date=todayISO() } = req.query;
+app.get('/debug/slots', requireAdmin, withSite, (req,res)=>{
+  const { site_id=1 } = req.query;
+  const date = req.query.date || siteToday(site_id);
   const rows = db.prepare(`
     SELECT slot_time, is_workin, disabled, reserved_truck_id
     FROM time_slots WHERE site_id=? AND date=?
@@ -1204,7 +4253,7 @@ app.get('/debug/slots', (req,res)=>{
 
 // ------------------------- Append Times (no disruption) ----------------------
 // Body: { site_id, date, start, end, loads_target?, interval_min?, is_workin? }
-app.post('/api/slots/add-times', (req, res) => {
+app.post('/api/slots/add-times', requirePerm('slots:manage'), withSite, (req, res) => {
   try {
     const { site_id, date, start, end, loads_target, interval_min, is_workin = 0 } = req.body || {};
 
@@ -1223,7 +4272,7 @@ app.post('/api/slots/add-times', (req, res) => {
     const e = toMin(end);
     if (!(e >= s)) return res.status(400).json({ ok:false, error: 'end must be >= start' });
 
-    const siteMin = (Number(site_id) === 2 ? 6 : 5);
+    const siteMin = req.site.min_interval_min;
     let step;
     if (Number(interval_min)) {
       step = Math.max(siteMin, Number(interval_min));
@@ -0,0 +1,525 @@
+// migrations.js — numbered schema migrations (ESM)
+//
+// Production databases were built by three different paths over time: schema.sql,
+// the old migrate.js, and the inline schema in index.js. Migrations 1-5 are written
+// idempotently (IF NOT EXISTS + column checks) so any of those converge on the same
+// shape the first time the runner sees them. From here on: append a new entry with
+// the next id; never edit or renumber one that has shipped.
+
+function tableHasColumn(db, table, col) {
+  const rows = db.prepare(`PRAGMA table_info(${table})`).all();
+  return rows.some(r => r.name === col);
+}
+
+function addColumn(db, table, col, type) {
+  if (!tableHasColumn(db, table, col)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${col} ${type};`);
+}
+
+export const MIGRATIONS = [
+  {
+    id: 1,
+    name: 'base_tables',
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS site_settings (
+  site_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  loads_target INTEGER NOT NULL,
+  open_time TEXT NOT NULL,
+  close_time TEXT NOT NULL,
+  workins_per_hour INTEGER DEFAULT 0,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (site_id, date)
+);
+CREATE TABLE IF NOT EXISTS time_slots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  date TEXT NOT NULL,        -- YYYY-MM-DD
+  slot_time TEXT NOT NULL,   -- HH:MM
+  is_workin INTEGER DEFAULT 0,
+  reserved_truck_id INTEGER, -- reservation id
+  reserved_at TEXT,
+  hold_token TEXT,
+  hold_expires_at TEXT,
+  disabled INTEGER DEFAULT 0,
+  UNIQUE(site_id, date, slot_time, is_workin)
+);
+CREATE TABLE IF NOT EXISTS slot_reservations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  slot_time TEXT NOT NULL,
+  driver_name TEXT,
+  license_plate TEXT,
+  trucking_company TEXT,
+  vendor_name TEXT,
+  farm_or_ticket TEXT,
+  est_amount REAL,
+  est_unit TEXT,
+  driver_phone TEXT,
+  queue_code TEXT,               -- 4-digit probe/confirm code
+  status TEXT DEFAULT 'reserved',
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_resv_probe ON slot_reservations (site_id, date, queue_code);
+CREATE TABLE IF NOT EXISTS otp_allowlist (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone TEXT NOT NULL,           -- +1XXXXXXXXXX
+  role  TEXT NOT NULL,           -- 'admin' or 'probe'
+  added_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(phone, role)
+);
+CREATE TABLE IF NOT EXISTS otp_codes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone TEXT NOT NULL,
+  code  TEXT NOT NULL,
+  role  TEXT DEFAULT 'driver', -- 'driver' | 'admin' | 'probe'
+  expires_at TEXT NOT NULL,
+  consumed_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_otp_phone ON otp_codes (phone);
+`);
+      // schema.sql never had the slot state columns; migrate.js had no disabled;
+      // neither had trucking_company
+      addColumn(db, 'time_slots', 'reserved_truck_id', 'INTEGER');
+      addColumn(db, 'time_slots', 'reserved_at', 'TEXT');
+      addColumn(db, 'time_slots', 'hold_token', 'TEXT');
+      addColumn(db, 'time_slots', 'hold_expires_at', 'TEXT');
+      addColumn(db, 'time_slots', 'disabled', 'INTEGER DEFAULT 0');
+      addColumn(db, 'slot_reservations', 'trucking_company', 'TEXT');
+    }
+  },
+  {
+    id: 2,
+    name: 'sessions_and_otp_limits',
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS sessions (
+  token TEXT PRIMARY KEY,        -- sha256 of the sid cookie (raw token is never stored)
+  phone TEXT NOT NULL,
+  role  TEXT NOT NULL DEFAULT 'driver',
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  expires_at TEXT,
+  last_seen_at TEXT,
+  revoked_at TEXT,
+  ip TEXT,
+  user_agent TEXT
+);
+CREATE TABLE IF NOT EXISTS otp_failures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone TEXT NOT NULL,
+  ip TEXT,
+  at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_otp_fail_phone ON otp_failures (phone, at);
+`);
+      // sessions as defined in schema.sql only had token/phone/created_at
+      for (const [col, type] of [
+        ['role', `TEXT NOT NULL DEFAULT 'driver'`], ['expires_at', 'TEXT'], ['last_seen_at', 'TEXT'],
+        ['revoked_at', 'TEXT'], ['ip', 'TEXT'], ['user_agent', 'TEXT']
+      ]) addColumn(db, 'sessions', col, type);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_phone ON sessions (phone);`);
+      // schema.sql stored raw tokens with no expiry; they can never match a hash
+      db.exec(`DELETE FROM sessions WHERE expires_at IS NULL;`);
+
+      // ALTER can't take a CURRENT_TIMESTAMP default, so created_at is always
+      // written explicitly on insert
+      addColumn(db, 'otp_codes', 'attempts_left', 'INTEGER DEFAULT 5');
+      addColumn(db, 'otp_codes', 'ip', 'TEXT');
+      addColumn(db, 'otp_codes', 'created_at', 'TEXT');
+    }
+  },
+  {
+    id: 3,
+    name: 'sites_registry',
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS sites (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  short_code TEXT NOT NULL UNIQUE,             -- shown in SMS, e.g. EAST
+  timezone TEXT NOT NULL DEFAULT 'America/Chicago',
+  min_interval_min INTEGER NOT NULL DEFAULT 5, -- floor for generated slot spacing
+  default_open_time TEXT,                      -- HH:MM, used when publish omits it
+  default_close_time TEXT,
+  facility_phone TEXT,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+-- The two original dump locations (previously hardcoded)
+INSERT OR IGNORE INTO sites (id, name, short_code, min_interval_min) VALUES (1, 'East', 'EAST', 5);
+INSERT OR IGNORE INTO sites (id, name, short_code, min_interval_min) VALUES (2, 'West', 'WEST', 6);
+`);
+    }
+  },
+  {
+    id: 4,
+    name: 'checkin_queue',
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS queue_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  date TEXT NOT NULL,            -- YYYY-MM-DD (arrival day)
+  reservation_id INTEGER,        -- NULL for walk-ins
+  queue_code TEXT NOT NULL,      -- reservation probe code, or generated for walk-ins
+  is_walkin INTEGER DEFAULT 0,
+  driver_name TEXT,
+  driver_phone TEXT,
+  license_plate TEXT,
+  trucking_company TEXT,
+  vendor_name TEXT,
+  farm_or_ticket TEXT,
+  est_amount REAL,
+  est_unit TEXT,
+  status TEXT NOT NULL DEFAULT 'QUEUED', -- QUEUED|CALLED|AT_DOCK|DUMPED|DEPARTED
+  checked_in_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  called_at TEXT,
+  at_dock_at TEXT,
+  dumped_at TEXT,
+  departed_at TEXT,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_queue_site_date ON queue_entries (site_id, date, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_queue_resv ON queue_entries (reservation_id) WHERE reservation_id IS NOT NULL;
+`);
+      addColumn(db, 'slot_reservations', 'arrived_at', 'TEXT');
+    }
+  },
+  {
+    id: 5,
+    name: 'schedule_templates',
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS schedule_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  days TEXT NOT NULL,            -- JSON, 7 entries indexed by weekday (0=Sun); null = closed
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(site_id, name)
+);
+`);
+    }
+  },
+  {
+    id: 6,
+    name: 'reservation_audit',
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS reservation_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  reservation_id INTEGER NOT NULL, -- kept after the reservation row is gone
+  site_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  action TEXT NOT NULL,            -- create|update|reassign|reschedule|cancel
+  actor_phone TEXT,
+  actor_role TEXT,                 -- admin|probe|driver|system
+  changes TEXT NOT NULL,           -- JSON { field: [old, new] }
+  reason TEXT,
+  at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_audit_resv ON reservation_audit (reservation_id);
+CREATE INDEX IF NOT EXISTS idx_audit_site_date ON reservation_audit (site_id, date);
+CREATE TRIGGER IF NOT EXISTS reservation_audit_no_update BEFORE UPDATE ON reservation_audit
+BEGIN SELECT RAISE(ABORT, 'reservation_audit is append-only'); END;
+CREATE TRIGGER IF NOT EXISTS reservation_audit_no_delete BEFORE DELETE ON reservation_audit
+BEGIN SELECT RAISE(ABORT, 'reservation_audit is append-only'); END;
+`);
+    }
+  },
+  {
+    id: 7,
+    name: 'reservation_status_lifecycle',
+    up(db) {
+      // status: reserved | canceled_by_driver | canceled_by_facility | no_show | completed
+      addColumn(db, 'slot_reservations', 'status_changed_at', 'TEXT');
+      addColumn(db, 'slot_reservations', 'status_reason', 'TEXT');
+      db.exec(`
+UPDATE slot_reservations SET status='reserved' WHERE status IS NULL;
+UPDATE slot_reservations SET status='canceled_by_facility' WHERE status='canceled'; -- schema.sql era
+CREATE INDEX IF NOT EXISTS idx_resv_slot ON slot_reservations (site_id, date, slot_time, status);
+`);
+    }
+  },
+  {
+    id: 8,
+    name: 'waitlist',
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  driver_phone TEXT NOT NULL,
+  earliest_time TEXT,            -- HH:MM window, NULL = any
+  latest_time TEXT,
+  driver_name TEXT,
+  license_plate TEXT,
+  trucking_company TEXT,
+  vendor_name TEXT,
+  farm_or_ticket TEXT,
+  est_amount REAL,
+  est_unit TEXT,
+  status TEXT NOT NULL DEFAULT 'WAITING', -- WAITING|OFFERED|BOOKED|EXPIRED|DECLINED|LEFT
+  offer_token TEXT,              -- = time_slots.hold_token while OFFERED
+  offer_slot_time TEXT,
+  offered_at TEXT,
+  offer_expires_at TEXT,
+  reservation_id INTEGER,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_waitlist_site_date ON waitlist_entries (site_id, date, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_offer ON waitlist_entries (offer_token) WHERE offer_token IS NOT NULL;
+`);
+    }
+  },
+  {
+    id: 9,
+    name: 'sms_inbound_and_opt_outs',
+    up(db) {
+      addColumn(db, 'slot_reservations', 'driver_confirmed_at', 'TEXT'); // CONFIRM reply
+      db.exec(`
+CREATE TABLE IF NOT EXISTS sms_opt_outs (
+  phone TEXT PRIMARY KEY,
+  keyword TEXT,                  -- the word they replied with (STOP, QUIT, ...)
+  opted_out_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS sms_inbound (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  message_sid TEXT UNIQUE,       -- Twilio retries; one row per message
+  from_phone TEXT,
+  body TEXT,
+  action TEXT,                   -- opt_out|opt_in|help|confirm|cancel|unknown
+  reservation_id INTEGER,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_sms_inbound_phone ON sms_inbound (from_phone, created_at);
+`);
+    }
+  },
+  {
+    id: 10,
+    name: 'sms_outbox',
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS sms_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind TEXT NOT NULL,            -- mass-cancel | mass-notify
+  site_id INTEGER,
+  date TEXT,
+  created_by TEXT,               -- session phone
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS sms_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  to_phone TEXT NOT NULL,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued', -- queued|sending|sent|delivered|undelivered|failed|suppressed
+  priority INTEGER NOT NULL DEFAULT 0,   -- higher goes first (sign-in codes)
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  provider_sid TEXT,             -- Twilio MessageSid
+  job_id INTEGER,
+  resend_of INTEGER,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  sent_at TEXT,
+  delivered_at TEXT,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_sms_outbox_due ON sms_outbox (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_sms_outbox_phone ON sms_outbox (to_phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_sms_outbox_job ON sms_outbox (job_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sms_outbox_sid ON sms_outbox (provider_sid) WHERE provider_sid IS NOT NULL;
+CREATE TABLE IF NOT EXISTS sms_status_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  outbox_id INTEGER,
+  provider_sid TEXT NOT NULL,
+  status TEXT NOT NULL,          -- Twilio MessageStatus as reported
+  error_code TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_sms_status_outbox ON sms_status_events (outbox_id);
+`);
+    }
+  },
+  {
+    id: 11,
+    name: 'appointment_reminders',
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS reminder_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,            -- evening_before (at send_time, day before) | before_slot (minutes_before)
+  send_time TEXT,                -- HH:MM, evening_before only
+  minutes_before INTEGER,        -- before_slot only
+  template TEXT NOT NULL,        -- {name} {date} {time} {site} {code} {link} {facility_phone}
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_reminder_rules_site ON reminder_rules (site_id);
+-- One row per reminder queued; keyed on the slot so a rescheduled booking is reminded again
+CREATE TABLE IF NOT EXISTS reminders_sent (
+  reservation_id INTEGER NOT NULL,
+  rule_id INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  slot_time TEXT NOT NULL,
+  outbox_id INTEGER,
+  sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (reservation_id, rule_id, date, slot_time)
+);
+`);
+      const seed = db.prepare(`
+        INSERT INTO reminder_rules (site_id, kind, send_time, minutes_before, template) VALUES (?, ?, ?, ?, ?)
+      `);
+      for (const { id } of db.prepare(`SELECT id FROM sites`).all()) {
+        seed.run(id, 'evening_before', '18:00', null,
+          'Cargill: Reminder, you are booked tomorrow {date} at {time} ({site}). Probe code: {code}. ' +
+          'Reply CONFIRM or CANCEL, or manage: {link}');
+        seed.run(id, 'before_slot', null, 60,
+          'Cargill: Your {site} appointment is at {time} today. Probe code: {code}. Manage: {link}');
+      }
+    }
+  },
+  {
+    id: 12,
+    name: 'driver_reliability',
+    up(db) {
+      // users came from schema.sql and was never read; DBs built by 001 don't have it
+      db.exec(`
+CREATE TABLE IF NOT EXISTS users (
+  phone TEXT PRIMARY KEY,
+  last_login_at TEXT,
+  is_banned INTEGER DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS idx_resv_phone ON slot_reservations (driver_phone, status);
+`);
+      addColumn(db, 'users', 'ban_reason', 'TEXT');
+      addColumn(db, 'users', 'banned_at', 'TEXT');
+      addColumn(db, 'users', 'banned_by', 'TEXT');
+      addColumn(db, 'users', 'no_shows_forgiven_at', 'TEXT'); // admin override: older no-shows stop counting
+    }
+  },
+  {
+    id: 13,
+    name: 'site_booking_limits',
+    up(db) {
+      // NULL = no limit (the behaviour before these existed)
+      addColumn(db, 'sites', 'max_per_phone_day', 'INTEGER');    // active reservations per phone per day
+      addColumn(db, 'sites', 'max_per_carrier_hour', 'INTEGER'); // per trucking_company per clock hour
+      addColumn(db, 'sites', 'min_spacing_min', 'INTEGER');      // gap between one phone's slots
+      addColumn(db, 'sites', 'booking_window_days', 'INTEGER');  // how many days ahead booking opens
+    }
+  },
+  {
+    id: 14,
+    name: 'daily_volume_caps',
+    up(db) {
+      addColumn(db, 'site_settings', 'volume_cap', 'REAL');      // NULL = slot count only
+      addColumn(db, 'site_settings', 'volume_cap_unit', 'TEXT'); // BUSHELS | TONS
+    }
+  },
+  {
+    id: 15,
+    name: 'calendar_links',
+    up(db) {
+      addColumn(db, 'slot_reservations', 'calendar_token', 'TEXT'); // per-reservation .ics link
+      db.exec(`
+CREATE UNIQUE INDEX IF NOT EXISTS idx_resv_calendar ON slot_reservations (calendar_token)
+  WHERE calendar_token IS NOT NULL;
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  site_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE, -- sha256 of the token in the feed URL
+  label TEXT,
+  created_by TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TEXT,
+  revoked_at TEXT
+);
+      `);
+    }
+  },
+  {
+    id: 16,
+    name: 'site_booking_lead',
+    up(db) {
+      addColumn(db, 'sites', 'booking_lead_min', 'INTEGER'); // minutes of notice; NULL = BOOKING_LEAD_MIN
+    }
+  },
+  {
+    id: 17,
+    name: 'driver_audit',
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS driver_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone TEXT NOT NULL,             -- the driver whose users row changed
+  action TEXT NOT NULL,            -- ban|unban|forgive|update
+  actor_phone TEXT,
+  actor_role TEXT,
+  changes TEXT NOT NULL,           -- JSON { field: [old, new] }
+  at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_driver_audit_phone ON driver_audit (phone);
+CREATE TRIGGER IF NOT EXISTS driver_audit_no_update BEFORE UPDATE ON driver_audit
+BEGIN SELECT RAISE(ABORT, 'driver_audit is append-only'); END;
+CREATE TRIGGER IF NOT EXISTS driver_audit_no_delete BEFORE DELETE ON driver_audit
+BEGIN SELECT RAISE(ABORT, 'driver_audit is append-only'); END;
+`);
+    }
+  },
+  {
+    id: 18,
+    name: 'queue_checkin_ip',
+    up(db) {
+      addColumn(db, 'queue_entries', 'checkin_ip', 'TEXT'); // public check-ins only; rate limit
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_queue_checkin_ip ON queue_entries (checkin_ip, checked_in_at);`);
+    }
+  }
+];
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+);`);
+}
+
+// One row per known migration (applied_at null = pending), plus any ids recorded
+// in the DB that this code doesn't know about (DB is newer than the code).
+export function migrationStatus(db) {
+  ensureMigrationsTable(db);
+  const applied = db.prepare(`SELECT id, name, applied_at FROM schema_migrations ORDER BY id`).all();
+  const byId = new Map(applied.map(r => [r.id, r]));
+  const known = MIGRATIONS.map(m => ({ id: m.id, name: m.name, applied_at: byId.get(m.id)?.applied_at || null }));
+  const unknown = applied
+    .filter(r => !MIGRATIONS.some(m => m.id === r.id))
+    .map(r => ({ ...r, unknown: true }));
+  return [...known, ...unknown];
+}
+
+// Applies pending migrations in id order, each in its own transaction (a failure
+// rolls that migration back and throws). Returns the migrations applied.
+export function migrate(db, { log = () => {} } = {}) {
+  const pending = migrationStatus(db).filter(m => !m.applied_at && !m.unknown);
+  const applied = [];
+  for (const { id } of pending) {
+    const m = MIGRATIONS.find(x => x.id === id);
+    db.transaction(() => {
+      m.up(db);
+      db.prepare(`INSERT INTO schema_migrations (id, name) VALUES (?, ?)`).run(m.id, m.name);
+    })();
+    log(`${String(m.id).padStart(3, '0')} ${m.name} applied`);
+    applied.push(m);
+  }
+  return applied;
+}
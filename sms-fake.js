@@ -0,0 +1,40 @@
+// sms-fake.js — play Twilio: post a signed inbound SMS to a local server (ESM)
+//   npm run sms:fake -- +15635551234 CONFIRM
+// Signs with TWILIO_AUTH_TOKEN (the server must run with the same value) against
+// PUBLIC_URL, which is the URL the server checks the signature for.
+import crypto from 'crypto';
+import { twilioSignature } from './twilio-signature.js';
+
+const PORT       = Number(process.env.PORT || 10000);
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const TOKEN      = process.env.TWILIO_AUTH_TOKEN;
+
+const [from, ...words] = process.argv.slice(2);
+if (!from || !words.length || !TOKEN) {
+  console.error('usage: TWILIO_AUTH_TOKEN=... node sms-fake.js <from-phone> <message...>');
+  process.exit(1);
+}
+
+const url = `${PUBLIC_URL}/sms/inbound`;
+const params = {
+  MessageSid: 'SM' + crypto.randomBytes(16).toString('hex'),
+  AccountSid: process.env.TWILIO_ACCOUNT_SID || 'AC' + '0'.repeat(32),
+  From: from,
+  To: process.env.TWILIO_PHONE_NUMBER || '+15550000000',
+  Body: words.join(' ')
+};
+
+try {
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': twilioSignature(TOKEN, url, params)
+    },
+    body: new URLSearchParams(params)
+  });
+  console.log(r.status, await r.text());
+} catch (e) {
+  console.error('Request failed:', e.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,16 @@
+// twilio-signature.js — X-Twilio-Signature for webhook requests (ESM)
+// Shared by the inbound SMS route (index.js) and the local fake sender (sms-fake.js).
+// Algorithm: base64(HMAC-SHA1(auth token, full URL + each POST param name+value, sorted by name)).
+import crypto from 'crypto';
+
+export function twilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params).sort().reduce((acc, k) => acc + k + (params[k] ?? ''), url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+export function isValidTwilioSignature(authToken, signature, url, params) {
+  if (!authToken || !signature) return false;
+  const expected = Buffer.from(twilioSignature(authToken, url, params));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}